@@ -62,6 +62,13 @@ self.addEventListener('fetch', (event) => {
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
+    // App route ('/following/…') or article URL set by sendNotification
+    const link = event.notification.data?.link || null;
+    if (link && !link.startsWith('/')) {
+        event.waitUntil(clients.openWindow(link));
+        return;
+    }
+
     // Focus existing window or open new one
     event.waitUntil(
         clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
@@ -71,13 +78,13 @@ self.addEventListener('notificationclick', (event) => {
                 // Check if it's our app
                 if (client.url.includes(BASE_PATH) && 'focus' in client) {
                     // Send a message to the client to trigger a specific view/refresh if needed
-                    client.postMessage({ type: 'NOTIFICATION_CLICK', action: event.action });
+                    client.postMessage({ type: 'NOTIFICATION_CLICK', action: event.action, link });
                     return client.focus();
                 }
             }
             // If no window is open, open one
             if (clients.openWindow) {
-                return clients.openWindow(BASE_PATH);
+                return clients.openWindow(link ? `${BASE_PATH}#${link}` : BASE_PATH);
             }
         })
     );
@@ -9,6 +9,8 @@ import SettingsPage from './pages/SettingsPage';
 import RefreshPage from './pages/RefreshPage';
 import FollowingPage from './pages/FollowingPage';
 import TopicDetail from './pages/TopicDetail';
+import ComparePage from './pages/ComparePage';
+import NotificationsPage from './pages/NotificationsPage';
 import BottomNav from './components/BottomNav';
 import { WeatherProvider } from './context/WeatherContext';
 import { NewsProvider } from './context/NewsContext';
@@ -38,6 +40,8 @@ function App() {
                     <Route path="/refresh" element={<RefreshPage />} />
                     <Route path="/following" element={<FollowingPage />} />
                     <Route path="/following/:topicId" element={<TopicDetail />} />
+                    <Route path="/compare" element={<ComparePage />} />
+                    <Route path="/notifications" element={<NotificationsPage />} />
                   </Routes>
                   <BottomNav />
                 </div>
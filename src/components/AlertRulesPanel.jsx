@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useSettings } from '../context/SettingsContext';
+import Toggle from './Toggle';
+import { getSectionList } from '../utils/sectionRegistry';
+import { ALERT_TEMPLATES, createAlertRule } from '../services/alertEngine';
+import { BREAKING_TIERS } from '../utils/breakingNewsDetector';
+
+const MARKET_INDICES = ['SENSEX', 'NIFTY 50', 'BANK NIFTY', 'NIFTY IT', 'NIFTY PHARMA', 'NIFTY AUTO', 'MIDCAP 150'];
+
+const selectStyle = {
+    padding: '6px',
+    borderRadius: '4px',
+    background: 'var(--bg-secondary)',
+    color: 'var(--text-primary)',
+    border: '1px solid var(--border-default)'
+};
+
+const hintStyle = { color: 'var(--text-muted)', fontSize: '0.65rem' };
+
+/**
+ * Alert Rules Panel
+ * User-defined alerts checked after each refresh: story rules (keywords,
+ * section, source count, breaking tier) and market rules (index moves),
+ * each with its own cooldown.
+ */
+function AlertRulesPanel() {
+    const { settings, updateSettings } = useSettings();
+    const [expanded, setExpanded] = useState(false);
+
+    const alerts = settings.alerts || { enabled: true, rules: [] };
+    const rules = alerts.rules || [];
+    const sections = getSectionList(settings);
+
+    const setAlerts = (patch) => updateSettings({ ...settings, alerts: { ...alerts, ...patch } });
+    const updateRule = (id, patch) => setAlerts({ rules: rules.map(rule => rule.id === id ? { ...rule, ...patch } : rule) });
+    const removeRule = (id) => setAlerts({ rules: rules.filter(rule => rule.id !== id) });
+    const addRule = (template) => setAlerts({ rules: [...rules, createAlertRule(template)] });
+
+    const renderStoryFields = (rule) => (
+        <>
+            <input
+                type="text"
+                className="api-input"
+                value={(rule.keywords || []).join(', ')}
+                onChange={(e) => updateRule(rule.id, { keywords: e.target.value.split(',').map(k => k.trimStart()) })}
+                placeholder="Keywords, all must match (e.g. chennai, rain)"
+            />
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', fontSize: '0.75rem' }}>
+                <select
+                    value={rule.section || ''}
+                    onChange={(e) => updateRule(rule.id, { section: e.target.value || null })}
+                    style={selectStyle}
+                >
+                    <option value="">Any section</option>
+                    {sections.map(s => <option key={s.key} value={s.key}>{s.icon} {s.label}</option>)}
+                </select>
+                <label>
+                    Min sources{' '}
+                    <input
+                        type="number"
+                        className="settings-item__count"
+                        min={0}
+                        max={10}
+                        value={rule.minSources || 0}
+                        onChange={(e) => updateRule(rule.id, { minSources: parseInt(e.target.value) || 0 })}
+                    />
+                </label>
+                <select
+                    value={rule.minTier || ''}
+                    onChange={(e) => updateRule(rule.id, { minTier: e.target.value || null })}
+                    style={selectStyle}
+                >
+                    <option value="">Any story</option>
+                    {BREAKING_TIERS.map(tier => <option key={tier} value={tier}>Breaking: {tier}+</option>)}
+                </select>
+            </div>
+        </>
+    );
+
+    const renderMarketFields = (rule) => (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', fontSize: '0.75rem' }}>
+            <select value={rule.index || 'SENSEX'} onChange={(e) => updateRule(rule.id, { index: e.target.value })} style={selectStyle}>
+                {MARKET_INDICES.map(index => <option key={index} value={index}>{index}</option>)}
+            </select>
+            <select value={rule.direction || 'down'} onChange={(e) => updateRule(rule.id, { direction: e.target.value })} style={selectStyle}>
+                <option value="down">falls more than</option>
+                <option value="up">rises more than</option>
+            </select>
+            <label>
+                <input
+                    type="number"
+                    className="settings-item__count"
+                    min={0.1}
+                    max={20}
+                    step={0.1}
+                    value={rule.thresholdPercent ?? 2}
+                    onChange={(e) => updateRule(rule.id, { thresholdPercent: parseFloat(e.target.value) || 0 })}
+                /> %
+            </label>
+        </div>
+    );
+
+    return (
+        <section className="settings-section">
+            <h2
+                className="settings-section__title"
+                style={{ cursor: 'pointer' }}
+                onClick={() => setExpanded(!expanded)}
+            >
+                <span>🔔</span> Alerts
+                <span style={{ marginLeft: 'auto', fontSize: '0.8rem' }}>
+                    {rules.filter(rule => rule.enabled !== false).length} active {expanded ? '▲' : '▼'}
+                </span>
+            </h2>
+
+            {expanded && (
+                <div className="settings-card">
+                    <div className="settings-item">
+                        <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                            <span>Alert me</span>
+                            <small style={hintStyle}>Rules are checked after every news and market refresh</small>
+                        </span>
+                        <Toggle checked={alerts.enabled !== false} onChange={(val) => setAlerts({ enabled: val })} />
+                    </div>
+
+                    <div className="settings-item" style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                        <span>
+                            Quiet hours, snooze and muting live in the{' '}
+                            <Link to="/notifications" style={{ color: 'var(--accent-primary)' }}>notification center</Link>
+                        </span>
+                    </div>
+
+                    {rules.map(rule => (
+                        <div
+                            key={rule.id}
+                            className="settings-item"
+                            style={{ flexDirection: 'column', alignItems: 'stretch', gap: '8px', borderTop: '1px solid var(--border-default)' }}
+                        >
+                            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                                <input
+                                    type="text"
+                                    className="api-input"
+                                    value={rule.name}
+                                    onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                                    style={{ flex: 1 }}
+                                />
+                                <Toggle checked={rule.enabled !== false} onChange={(val) => updateRule(rule.id, { enabled: val })} />
+                                <button className="btn btn--secondary" onClick={() => removeRule(rule.id)} title="Delete rule">🗑️</button>
+                            </div>
+
+                            {rule.type === 'market' ? renderMarketFields(rule) : renderStoryFields(rule)}
+
+                            <label style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                                At most once every{' '}
+                                <input
+                                    type="number"
+                                    className="settings-item__count"
+                                    min={0}
+                                    max={1440}
+                                    value={rule.cooldownMinutes ?? 60}
+                                    onChange={(e) => updateRule(rule.id, { cooldownMinutes: parseInt(e.target.value) || 0 })}
+                                />{' '}
+                                minutes
+                            </label>
+                        </div>
+                    ))}
+
+                    <div className="settings-item" style={{ flexWrap: 'wrap', gap: '6px' }}>
+                        <button className="btn btn--secondary" onClick={() => addRule()}>+ Story rule</button>
+                        <button
+                            className="btn btn--secondary"
+                            onClick={() => addRule({ name: 'Market move', type: 'market', index: 'SENSEX', direction: 'down', thresholdPercent: 2 })}
+                        >
+                            + Market rule
+                        </button>
+                        {ALERT_TEMPLATES.map(template => (
+                            <button
+                                key={template.name}
+                                className="btn btn--secondary"
+                                style={{ fontSize: '0.7rem' }}
+                                onClick={() => addRule(template)}
+                            >
+                                + {template.name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default AlertRulesPanel;
@@ -1,6 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import './BreakingNews.css';
 
+// Banner label per severity tier (see breakingNewsDetector)
+const TIER_LABELS = {
+    developing: { icon: '🟠', text: 'DEVELOPING' },
+    breaking: { icon: '🔴', text: 'BREAKING' },
+    major: { icon: '🚨', text: 'MAJOR' }
+};
+
 const BreakingNews = ({ items }) => {
     const [currentIndex, setCurrentIndex] = useState(0);
 
@@ -17,12 +24,15 @@ const BreakingNews = ({ items }) => {
 
     if (!items || items.length === 0) return null;
 
-    const currentItem = items[currentIndex];
+    // Items can shrink between refreshes while the index points past the end
+    const currentItem = items[currentIndex] || items[0];
+    const tier = TIER_LABELS[currentItem.breakingTier] ? currentItem.breakingTier : 'breaking';
+    const label = TIER_LABELS[tier];
 
     return (
-        <div className="breaking-news-banner">
+        <div className={`breaking-news-banner breaking-news-banner--${tier}`}>
             <div className="breaking-label">
-                <span className="pulse-icon">🔴</span> BREAKING
+                <span className="pulse-icon">{label.icon}</span> {label.text}
             </div>
             <div className="breaking-content">
                 <a href={currentItem.link} target="_blank" rel="noopener noreferrer" className="breaking-link">
@@ -30,6 +40,7 @@ const BreakingNews = ({ items }) => {
                 </a>
                 <span className="breaking-time">
                     {currentItem.time} • {currentItem.source}
+                    {currentItem.sourceCount > 1 && ` +${currentItem.sourceCount - 1}`}
                 </span>
             </div>
             {items.length > 1 && (
@@ -0,0 +1,97 @@
+import React, { useEffect } from 'react';
+import { getCredibilityStars } from '../data/sourceMetrics';
+import './ClusterView.css';
+
+const SENTIMENT_ICONS = { positive: '🟢', negative: '🔴', neutral: '⚪' };
+
+const formatClock = (timestamp) =>
+    new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Delay after the first report, e.g. "+45m" or "+3h"
+ */
+function formatLag(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'first';
+    if (minutes < 60) return `+${minutes}m`;
+    return `+${Math.round(minutes / 60)}h`;
+}
+
+/**
+ * Cluster View
+ * Full-screen list of every outlet's version of one clustered story, oldest
+ * report first, so coverage of the same event can be compared.
+ */
+function ClusterView({ item, onClose }) {
+    const members = item.clusterMembers || [];
+    const firstReport = members[0]?.publishedAt;
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    return (
+        <div className="cluster" role="dialog" aria-modal="true" aria-label={`Coverage of "${item.headline}"`}>
+            <div className="cluster__toolbar">
+                <button className="cluster__btn" onClick={onClose} aria-label="Close coverage">✕</button>
+                <span className="cluster__count">
+                    {members.length} reports · {item.sourceCount} outlets
+                </span>
+            </div>
+
+            <div className="cluster__body">
+                <h1 className="cluster__title">{item.headline}</h1>
+                {firstReport && (
+                    <p className="cluster__span">
+                        First reported {formatClock(firstReport)} by {members[0].source}
+                    </p>
+                )}
+
+                <ol className="cluster__list">
+                    {members.map(member => (
+                        <li
+                            key={member.id}
+                            className={`cluster__member ${member.id === item.id ? 'cluster__member--lead' : ''}`}
+                        >
+                            <span className="cluster__source">{member.source}</span>
+                            {member.url ? (
+                                <a
+                                    className="cluster__headline"
+                                    href={member.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                >
+                                    {member.title} ↗
+                                </a>
+                            ) : (
+                                <span className="cluster__headline">{member.title}</span>
+                            )}
+                            <div className="cluster__meta">
+                                <span>{formatClock(member.publishedAt)}</span>
+                                <span>{formatLag(member.publishedAt - firstReport)}</span>
+                                {member.sentiment && (
+                                    <span
+                                        className={`sentiment-badge sentiment--${member.sentiment}`}
+                                        title={`Sentiment: ${member.sentiment}`}
+                                    >
+                                        {SENTIMENT_ICONS[member.sentiment]} {member.sentiment}
+                                    </span>
+                                )}
+                                <span title={`Source credibility: ${getCredibilityStars(member.source)}/5`}>
+                                    {'⭐'.repeat(getCredibilityStars(member.source))}
+                                </span>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            </div>
+        </div>
+    );
+}
+
+export default ClusterView;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import Toggle from './Toggle';
+import { useSettings } from '../context/SettingsContext';
+import { getFeedHealth, resetFeedHealth } from '../services/feedHealthService';
+import { getFeedPollState } from '../services/feedPollingService';
+
+/**
+ * Feed Health Panel
+ * Lists every fetched feed with success rate, latency, item counts and
+ * last good fetch; failing feeds can be switched off in place.
+ */
+function FeedHealthPanel() {
+    const { settings, updateSettings } = useSettings();
+    const [feeds, setFeeds] = useState(() => getFeedHealth());
+    const [expanded, setExpanded] = useState(false);
+
+    const disabledFeeds = settings.disabledFeeds || [];
+    const failingCount = feeds.filter(f => f.isFailing).length;
+
+    const setFeedEnabled = (url, enabled) => {
+        const next = enabled
+            ? disabledFeeds.filter(u => u !== url)
+            : [...new Set([...disabledFeeds, url])];
+        updateSettings({ ...settings, disabledFeeds: next });
+    };
+
+    const handleReset = () => {
+        if (window.confirm('Clear all recorded feed health stats?')) {
+            resetFeedHealth();
+            setFeeds([]);
+        }
+    };
+
+    return (
+        <section className="settings-section">
+            <h2
+                className="settings-section__title"
+                style={{ cursor: 'pointer' }}
+                onClick={() => {
+                    if (!expanded) setFeeds(getFeedHealth());
+                    setExpanded(!expanded);
+                }}
+            >
+                <span>🩺</span> Feed Health
+                {failingCount > 0 && (
+                    <span style={{ fontSize: '0.7rem', color: 'var(--accent-danger)', fontWeight: 'normal' }}>
+                        {failingCount} failing
+                    </span>
+                )}
+                <span style={{ marginLeft: 'auto', fontSize: '0.8rem' }}>
+                    {expanded ? '▲' : '▼'}
+                </span>
+            </h2>
+
+            {expanded && (
+                <div className="settings-card">
+                    {feeds.length === 0 && (
+                        <div className="settings-item" style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                            No feed fetches recorded yet.
+                        </div>
+                    )}
+
+                    {feeds.map(feed => {
+                        const enabled = !disabledFeeds.includes(feed.url);
+                        const poll = getFeedPollState(feed.url, feed.section);
+                        return (
+                            <div
+                                key={feed.url}
+                                className="settings-item"
+                                style={{ alignItems: 'flex-start', opacity: enabled ? 1 : 0.5 }}
+                            >
+                                <div className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start', minWidth: 0 }}>
+                                    <div style={{ fontSize: '0.8rem', wordBreak: 'break-all', color: feed.isFailing ? 'var(--accent-danger)' : 'inherit' }}>
+                                        {feed.isFailing ? '⚠️ ' : ''}{shortFeedName(feed.url)}
+                                    </div>
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                        {feed.section} · {Math.round(feed.successRate * 100)}% ok ({feed.success}/{feed.calls})
+                                        {feed.avgLatency !== null && ` · ${feed.avgLatency}ms`}
+                                        {feed.avgItems !== null && ` · ~${feed.avgItems} items`}
+                                    </div>
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                        Last good: {feed.lastSuccess ? getRelativeTime(feed.lastSuccess) : 'never'}
+                                        {describeNextPoll(poll)}
+                                    </div>
+                                    {feed.lastError && (feed.lastErrorAt || 0) > (feed.lastSuccess || 0) && (
+                                        <div style={{ fontSize: '0.7rem', color: 'var(--accent-danger)', wordBreak: 'break-word' }}>
+                                            {feed.lastError}
+                                        </div>
+                                    )}
+                                </div>
+                                <Toggle
+                                    checked={enabled}
+                                    onChange={(val) => setFeedEnabled(feed.url, val)}
+                                />
+                            </div>
+                        );
+                    })}
+
+                    {feeds.length > 0 && (
+                        <div className="settings-item">
+                            <button
+                                className="btn btn--secondary"
+                                style={{ flex: 1 }}
+                                onClick={handleReset}
+                            >
+                                Reset Stats
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
+
+function shortFeedName(url) {
+    try {
+        const parsed = new URL(url);
+        const query = parsed.searchParams.get('q');
+        return query ? `${parsed.hostname} "${query}"` : `${parsed.hostname}${parsed.pathname}`;
+    } catch {
+        return url;
+    }
+}
+
+function getRelativeTime(timestamp) {
+    const mins = Math.floor((Date.now() - timestamp) / 60000);
+    if (mins < 1) return 'Just now';
+    if (mins < 60) return `${mins} min${mins > 1 ? 's' : ''} ago`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    return `${Math.floor(hours / 24)} days ago`;
+}
+
+function describeNextPoll(poll) {
+    if (!poll?.nextPollAt || poll.nextPollAt <= Date.now()) return '';
+    const clock = new Date(poll.nextPollAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return ` · ${poll.consecutiveFailures > 0 ? 'backing off' : 'next poll'} until ${clock}`;
+}
+
+export default FeedHealthPanel;
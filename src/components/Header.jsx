@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import ThemeToggle from './ThemeToggle';
+import NotificationBell from './NotificationBell';
 import MarketTicker from './MarketTicker';
 import appIcon from '../assets/app-icon.png';
 
@@ -49,6 +50,7 @@ function Header({ title, icon, showBack = false, backTo = '/', actions, pills, a
             )}
 
             <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <NotificationBell />
                 <ThemeToggle />
                 {actions}
             </div>
@@ -1,14 +1,28 @@
 import React, { useState } from 'react';
 import { getCredibilityStars } from '../data/sourceMetrics';
 import { addReadArticle } from '../utils/storage';
+import { useSettings } from '../context/SettingsContext';
+import { useNews } from '../context/NewsContext';
+import { getSectionList } from '../utils/sectionRegistry';
+import { recordClick, recordSkips, trackExternalDwell } from '../services/personalizationService';
+import ReaderView from './ReaderView';
+import ClusterView from './ClusterView';
+import StoryTimeline from './StoryTimeline';
+import ScoreBreakdown from './ScoreBreakdown';
 
 /**
  * News Section Component
  * Displays news items for a specific region (World/India/Chennai/Trichy/Local/Entertainment)
  * Features:
  * - Clickable headlines open story URL
+ * - 📖 opens the in-app reader view
+ * - 📊 expands the item's score breakdown
  * - Critics/public view shown where applicable
- * - Source count displayed
+ * - Source count displayed; tapping it lists every outlet's version
+ * - 🧵 opens the timeline of a developing story
+ * - 📂 moves a misfiled story to another section (and teaches the classifier);
+ *   only for main-feed sections, which pass `allowMove`
+ * - With Debug Logs on, why the item was filed under its section
  */
 function NewsSection({
     id,
@@ -21,9 +35,18 @@ function NewsSection({
     error = null,
     extraContent = null,
     onArticleClick = null,
-    showCritics = true
+    showCritics = true,
+    allowMove = false
 }) {
     const [expanded, setExpanded] = useState(false);
+    const [readerItem, setReaderItem] = useState(null);
+    const [breakdownId, setBreakdownId] = useState(null);
+    const [clusterItem, setClusterItem] = useState(null);
+    const [timelineStoryId, setTimelineStoryId] = useState(null);
+    const { settings } = useSettings();
+    const { moveToSection } = useNews();
+    const showClassification = settings.debugLogs === true;
+    const moveTargets = getSectionList(settings).filter(s => s.enabled);
 
     const displayCount = expanded ? news.length : Math.min(maxDisplay, news.length);
     const displayNews = news.slice(0, displayCount);
@@ -54,9 +77,16 @@ function NewsSection({
         return "Just now";
     };
 
+    // Personalization signal: the click, plus the stories ranked above it that were passed over
+    const learnFromClick = (item) => {
+        recordClick(item);
+        recordSkips(displayNews.slice(0, displayNews.indexOf(item)));
+    };
+
     const handleStoryClick = (item) => {
         // Track history
         addReadArticle(item);
+        learnFromClick(item);
 
         // External handler
         if (onArticleClick) {
@@ -65,9 +95,40 @@ function NewsSection({
 
         if (item.url) {
             window.open(item.url, '_blank', 'noopener,noreferrer');
+            trackExternalDwell(item);
         }
     };
 
+    const handleReaderOpen = (e, item) => {
+        e.stopPropagation();
+        addReadArticle(item);
+        learnFromClick(item);
+        if (onArticleClick) {
+            onArticleClick(item);
+        }
+        setReaderItem(item);
+    };
+
+    const handleClusterOpen = (e, item) => {
+        e.stopPropagation();
+        setClusterItem(item);
+    };
+
+    const handleTimelineOpen = (e, item) => {
+        e.stopPropagation();
+        setTimelineStoryId(item.storyId);
+    };
+
+    const handleMove = (e, item) => {
+        e.stopPropagation();
+        if (e.target.value) moveToSection(item, e.target.value);
+    };
+
+    const toggleBreakdown = (e, item) => {
+        e.stopPropagation();
+        setBreakdownId(breakdownId === item.id ? null : item.id);
+    };
+
     if (error) {
         return (
             <section className="news-section" id={id}>
@@ -177,13 +238,30 @@ function NewsSection({
                             >
                                 {'⭐'.repeat(getCredibilityStars(item.source))}
                             </span>
-                            {item.sourceCount > 1 && (
+                            {item.sourceCount > 1 && (item.clusterMembers ? (
+                                <button
+                                    className="news-item__consensus"
+                                    onClick={(e) => handleClusterOpen(e, item)}
+                                    title={`Reported by ${item.sourceCount} sources - compare coverage`}
+                                >
+                                    🔔 {item.sourceCount} sources
+                                </button>
+                            ) : (
                                 <span
                                     className="news-item__consensus"
                                     title={`Reported by ${item.sourceCount} sources`}
                                 >
                                     🔔 {item.sourceCount} sources
                                 </span>
+                            ))}
+                            {item.storyDeveloping && (
+                                <button
+                                    className="news-item__developing"
+                                    onClick={(e) => handleTimelineOpen(e, item)}
+                                    title="Developing story - see how it unfolded"
+                                >
+                                    🧵 {item.storyUpdates} updates
+                                </button>
                             )}
                             <span>|</span>
                             <span>{getTimeAgo(item.publishedAt) || item.time}</span>
@@ -197,7 +275,54 @@ function NewsSection({
                             <span className={`news-item__confidence ${getConfidenceClass(item.confidence)}`}>
                                 {item.confidence}
                             </span>
+                            {item.scoreBreakdown && (
+                                <button
+                                    className="news-item__score"
+                                    onClick={(e) => toggleBreakdown(e, item)}
+                                    title="Why is this ranked here?"
+                                    aria-expanded={breakdownId === item.id}
+                                >
+                                    📊 {item.impactScore?.toFixed(1)}
+                                </button>
+                            )}
+                            {allowMove && item.id && (
+                                <select
+                                    className="news-item__move"
+                                    value=""
+                                    onClick={(e) => e.stopPropagation()}
+                                    onChange={(e) => handleMove(e, item)}
+                                    title="Wrong section? Move this story"
+                                    aria-label={`Move "${item.headline}" to another section`}
+                                >
+                                    <option value="" disabled>📂</option>
+                                    {moveTargets
+                                        .filter(s => s.key !== item.section)
+                                        .map(s => <option key={s.key} value={s.key}>{s.icon} {s.label}</option>)}
+                                </select>
+                            )}
+                            {item.url && (
+                                <button
+                                    className="news-item__reader"
+                                    onClick={(e) => handleReaderOpen(e, item)}
+                                    title="Read in app"
+                                    aria-label={`Read "${item.headline}" in app`}
+                                >
+                                    📖
+                                </button>
+                            )}
                         </div>
+                        {showClassification && item.classification && (
+                            <div className="news-item__classification">
+                                🏷️ {item.placement === 'secondary' ? `secondary (filed under ${item.section})` : item.section}
+                                {item.classification.confidence > 0 && ` ${Math.round(item.classification.confidence * 100)}%`}
+                                {' · '}{item.classification.reason}
+                                {item.classification.labels.length > 1 && ` · ${item.classification.labels
+                                    .slice(1)
+                                    .map(label => `${label.section} ${Math.round(label.confidence * 100)}%`)
+                                    .join(', ')}`}
+                            </div>
+                        )}
+                        {breakdownId === item.id && <ScoreBreakdown breakdown={item.scoreBreakdown} />}
                     </article>
                 ))}
             </div>
@@ -211,6 +336,18 @@ function NewsSection({
                     <span>{expanded ? 'Collapse' : `See ${news.length - maxDisplay} more stories`}</span>
                 </div>
             )}
+
+            {readerItem && (
+                <ReaderView key={readerItem.id || readerItem.url} item={readerItem} onClose={() => setReaderItem(null)} />
+            )}
+
+            {clusterItem && (
+                <ClusterView item={clusterItem} onClose={() => setClusterItem(null)} />
+            )}
+
+            {timelineStoryId && (
+                <StoryTimeline storyId={timelineStoryId} onClose={() => setTimelineStoryId(null)} />
+            )}
         </section>
     );
 }
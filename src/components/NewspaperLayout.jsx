@@ -2,20 +2,34 @@ import React from 'react';
 import { NewspaperMasthead } from './NewspaperMasthead';
 import { ImageCard } from './ImageCard';
 import { useSettings } from '../context/SettingsContext';
+import { getSectionList } from '../utils/sectionRegistry';
+import { recordClick, trackExternalDwell } from '../services/personalizationService';
 import './NewspaperLayout.css';
 
 export function NewspaperLayout({ newsData, breakingNews, settings }) {
     const { settings: globalSettings } = useSettings();
 
+    const openArticle = (article) => {
+        recordClick(article);
+        window.open(article.link, '_blank');
+        trackExternalDwell(article);
+    };
+
     // Get all articles and filter ones with images
-    // Filter by enabled sections first AND limit by count
-    const allArticles = Object.entries(newsData)
-        .filter(([key, _]) => globalSettings?.sections?.[key]?.enabled !== false)
-        .map(([key, articles]) => {
-            const limit = globalSettings?.sections?.[key]?.count;
-            return (typeof limit === 'number') ? articles.slice(0, limit) : articles;
-        })
-        .flat();
+    // Walk sections in the user's order, skip disabled ones AND limit by count.
+    // Buckets outside the registry (e.g. classifier-only sections) follow at the end.
+    const sectionList = getSectionList(globalSettings);
+    const registeredKeys = sectionList.map(section => section.key);
+    const allArticles = [
+        ...sectionList
+            .filter(section => section.enabled)
+            .map(section => (newsData[section.key] || []).slice(0, section.count)),
+        ...Object.entries(newsData)
+            .filter(([key]) => !registeredKeys.includes(key))
+            .map(([, articles]) => articles)
+    ].flat()
+        // Articles with a secondary section are listed twice; show them once
+        .filter((article, index, list) => list.findIndex(other => other.id === article.id) === index);
 
     const articlesWithImages = allArticles.filter(article => article.imageUrl);
     const articlesWithoutImages = allArticles.filter(article => !article.imageUrl);
@@ -43,7 +57,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                 <ImageCard
                                     article={headlines[0]}
                                     size="large"
-                                    onClick={() => window.open(headlines[0].link, '_blank')}
+                                    onClick={() => openArticle(headlines[0])}
                                 />
                             </div>
                         )}
@@ -54,7 +68,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                         key={article.id}
                                         article={article}
                                         size="medium"
-                                        onClick={() => window.open(article.link, '_blank')}
+                                        onClick={() => openArticle(article)}
                                     />
                                 ))}
                             </div>
@@ -73,7 +87,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                 key={article.id}
                                 article={article}
                                 size="medium"
-                                onClick={() => window.open(article.link, '_blank')}
+                                onClick={() => openArticle(article)}
                             />
                         ))}
                     </div>
@@ -89,7 +103,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                             <article
                                 key={article.id}
                                 className="brief-item"
-                                onClick={() => window.open(article.link, '_blank')}
+                                onClick={() => openArticle(article)}
                             >
                                 <h4 className="brief-title">{article.title}</h4>
                                 <div className="brief-meta">
@@ -0,0 +1,26 @@
+import React, { useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { getUnreadCount, subscribeNotifications } from '../utils/notifications';
+import './NotificationBell.css';
+
+/**
+ * Notification Bell
+ * Header link to the notification center, with the unread count.
+ */
+function NotificationBell() {
+    const unread = useSyncExternalStore(subscribeNotifications, getUnreadCount);
+
+    return (
+        <Link
+            to="/notifications"
+            className="notification-bell"
+            title={unread > 0 ? `${unread} unread notifications` : 'Notifications'}
+            aria-label="Notifications"
+        >
+            🔔
+            {unread > 0 && <span className="notification-bell__count">{unread > 99 ? '99+' : unread}</span>}
+        </Link>
+    );
+}
+
+export default NotificationBell;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { getCorpusStats, getMostNovelTerms, clearNoveltyCorpus } from '../utils/noveltyScorer';
+
+/**
+ * Novelty Debug Panel
+ * Shows, per section, how much coverage the novelty corpus remembers and
+ * which terms most recently entered it. Rendered only with Debug Logs on.
+ */
+function NoveltyDebugPanel() {
+    const [stats, setStats] = useState(() => getCorpusStats());
+
+    const handleClear = () => {
+        if (window.confirm('Clear the novelty corpus? Scores stay neutral until enough stories are seen again.')) {
+            clearNoveltyCorpus();
+            setStats(getCorpusStats());
+        }
+    };
+
+    return (
+        <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '8px' }}>
+            <div className="settings-item__label">
+                <span>🧪 Novelty Corpus</span>
+                <small style={{ display: 'block', color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                    Newest terms per section (last 24h), ranked by df × idf
+                </small>
+            </div>
+
+            {stats.length === 0 && (
+                <span style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>Nothing scored yet.</span>
+            )}
+
+            {stats.map(({ section, docs, tokens, baseline }) => (
+                <div key={section} style={{ fontSize: '0.7rem', color: 'var(--text-secondary)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <strong>{section}</strong>
+                        <span>{Math.round(docs)} docs · {tokens} terms · avg novelty {baseline.toFixed(2)}</span>
+                    </div>
+                    <div style={{ color: 'var(--text-muted)' }}>
+                        {getMostNovelTerms(section, 8)
+                            .map(({ term, df }) => `${term} (${df.toFixed(1)})`)
+                            .join(', ') || '—'}
+                    </div>
+                </div>
+            ))}
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                    className="btn btn--secondary"
+                    style={{ padding: '4px 8px', fontSize: '0.7rem', minHeight: 'auto', flex: 1 }}
+                    onClick={() => setStats(getCorpusStats())}
+                >
+                    Refresh
+                </button>
+                <button
+                    className="btn btn--secondary"
+                    style={{ padding: '4px 8px', fontSize: '0.7rem', minHeight: 'auto', flex: 1 }}
+                    onClick={handleClear}
+                >
+                    Clear Corpus
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default NoveltyDebugPanel;
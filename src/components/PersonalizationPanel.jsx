@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import Toggle from './Toggle';
+import { getPersonalizationSummary, resetPersonalization } from '../services/personalizationService';
+import { getSectionLearnerSummary, resetSectionLearner } from '../services/sectionLearner';
+
+const KIND_ICONS = { source: '📰', section: '🗂️', entity: '👤', keyword: '🔤' };
+
+/**
+ * Personalization Panel
+ * On/off switch for the learned personal multiplier, a peek at what the
+ * model has picked up, and a way to make it forget. Also lists what
+ * "move to section" corrections have taught the classifier.
+ */
+function PersonalizationPanel() {
+    const { settings, updateSettings } = useSettings();
+    const [expanded, setExpanded] = useState(false);
+    const [summary, setSummary] = useState(() => getPersonalizationSummary());
+    const [sectionSummary, setSectionSummary] = useState(() => getSectionLearnerSummary());
+
+    const enabled = settings.enablePersonalization !== false;
+
+    const handleReset = () => {
+        if (window.confirm('Forget everything learned from your clicks and reading time?')) {
+            resetPersonalization();
+            setSummary(getPersonalizationSummary());
+        }
+    };
+
+    const handleSectionReset = () => {
+        if (window.confirm('Forget every story you moved to another section?')) {
+            resetSectionLearner();
+            updateSettings({ ...settings, sectionOverrides: {} });
+            setSectionSummary(getSectionLearnerSummary());
+        }
+    };
+
+    const renderChips = (entries, color) => (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {entries.map(entry => (
+                <span
+                    key={`${entry.kind}:${entry.name}`}
+                    title={`${entry.kind} · affinity ${entry.affinity.toFixed(2)}`}
+                    style={{
+                        fontSize: '0.7rem',
+                        padding: '2px 8px',
+                        borderRadius: '10px',
+                        border: `1px solid ${color}`,
+                        color
+                    }}
+                >
+                    {KIND_ICONS[entry.kind]} {entry.name}
+                </span>
+            ))}
+        </div>
+    );
+
+    return (
+        <section className="settings-section">
+            <h2
+                className="settings-section__title"
+                style={{ cursor: 'pointer' }}
+                onClick={() => setExpanded(!expanded)}
+            >
+                <span>🧠</span> Personalization
+                <span style={{ marginLeft: 'auto', fontSize: '0.8rem' }}>
+                    {expanded ? '▲' : '▼'}
+                </span>
+            </h2>
+
+            {expanded && (
+                <div className="settings-card">
+                    <div className="settings-item">
+                        <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                            <span>Learn from my reading</span>
+                            <small style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                                Clicks, reading time and skipped stories adjust ranking. Stays on this device.
+                            </small>
+                        </span>
+                        <Toggle
+                            checked={enabled}
+                            onChange={(val) => updateSettings({ ...settings, enablePersonalization: val })}
+                        />
+                    </div>
+
+                    <div className="settings-item" style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                        {summary.learning
+                            ? `Still learning (${summary.events} interactions so far) — ranking is not adjusted yet.`
+                            : `Learned from ${summary.events} interactions.`}
+                    </div>
+
+                    {summary.liked.length > 0 && (
+                        <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '6px' }}>
+                            <span style={{ fontSize: '0.8rem' }}>More of</span>
+                            {renderChips(summary.liked, 'var(--accent-secondary)')}
+                        </div>
+                    )}
+
+                    {summary.disliked.length > 0 && (
+                        <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '6px' }}>
+                            <span style={{ fontSize: '0.8rem' }}>Less of</span>
+                            {renderChips(summary.disliked, 'var(--text-muted)')}
+                        </div>
+                    )}
+
+                    <div className="settings-item">
+                        <button className="btn btn--secondary" style={{ flex: 1 }} onClick={handleReset}>
+                            Reset What You've Learned
+                        </button>
+                    </div>
+
+                    <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '6px' }}>
+                        <span style={{ fontSize: '0.8rem' }}>Section corrections</span>
+                        <small style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                            {sectionSummary.corrections > 0
+                                ? `Learned from ${sectionSummary.corrections} stories you moved with 📂.`
+                                : 'Use 📂 on a story to move it to the right section; similar stories will follow.'}
+                        </small>
+                        {sectionSummary.rules.length > 0 && (
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                                {sectionSummary.rules.map(rule => (
+                                    <span
+                                        key={`${rule.kind}:${rule.name}:${rule.section}`}
+                                        title={`${rule.kind} · ${rule.count} correction(s)`}
+                                        style={{
+                                            fontSize: '0.7rem',
+                                            padding: '2px 8px',
+                                            borderRadius: '10px',
+                                            border: '1px solid var(--accent-secondary)',
+                                            color: 'var(--accent-secondary)'
+                                        }}
+                                    >
+                                        {KIND_ICONS[rule.kind]} {rule.name} → {rule.section}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {sectionSummary.corrections > 0 && (
+                        <div className="settings-item">
+                            <button className="btn btn--secondary" style={{ flex: 1 }} onClick={handleSectionReset}>
+                                Forget Section Corrections
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default PersonalizationPanel;
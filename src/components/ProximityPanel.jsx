@@ -0,0 +1,69 @@
+import React from 'react';
+import { useSettings } from '../context/SettingsContext';
+import Toggle from './Toggle';
+import { GAZETTEER } from '../data/geolocation';
+
+// Home can be any place finer than a state; grouped under the place that contains it
+const HOME_GROUPS = Object.entries(GAZETTEER)
+    .filter(([, place]) => !['state', 'country'].includes(place.kind))
+    .reduce((groups, [key, place]) => {
+        const group = GAZETTEER[place.parent]?.name || 'Other';
+        (groups[group] = groups[group] || []).push({ key, name: place.name });
+        return groups;
+    }, {});
+
+/**
+ * Proximity Panel
+ * Switches proximity scoring on and sets the home location it measures from.
+ * Weather cities are always used as secondary anchors.
+ */
+function ProximityPanel() {
+    const { settings, updateSettings } = useSettings();
+
+    const weatherCities = (settings.weather?.cities || [])
+        .map(city => GAZETTEER[city]?.name || city)
+        .join(', ');
+
+    return (
+        <section className="settings-section">
+            <h2 className="settings-section__title">
+                <span>📍</span> Local Relevance
+            </h2>
+            <div className="settings-card">
+                <div className="settings-item">
+                    <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                        <span>Boost nearby news</span>
+                        <small style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                            Stories about places near home or your weather cities ({weatherCities || 'none'}) rank higher
+                        </small>
+                    </span>
+                    <Toggle
+                        checked={settings.enableProximityScoring === true}
+                        onChange={(val) => updateSettings({ ...settings, enableProximityScoring: val })}
+                    />
+                </div>
+
+                <div className="settings-item">
+                    <span className="settings-item__label">Home location</span>
+                    <select
+                        value={settings.homeLocation || ''}
+                        onChange={(e) => updateSettings({ ...settings, homeLocation: e.target.value || null })}
+                        disabled={settings.enableProximityScoring !== true}
+                        style={{ padding: '6px', borderRadius: '4px', background: 'var(--bg-secondary)', color: 'var(--text-primary)', border: '1px solid var(--border-default)' }}
+                    >
+                        <option value="">Not set (weather cities only)</option>
+                        {Object.entries(HOME_GROUPS).map(([group, places]) => (
+                            <optgroup key={group} label={group}>
+                                {places.map(place => (
+                                    <option key={place.key} value={place.key}>{place.name}</option>
+                                ))}
+                            </optgroup>
+                        ))}
+                    </select>
+                </div>
+            </div>
+        </section>
+    );
+}
+
+export default ProximityPanel;
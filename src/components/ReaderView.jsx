@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { loadReaderArticle } from '../services/readerService';
+import { recordDwell } from '../services/personalizationService';
+import './ReaderView.css';
+
+/**
+ * Reader View
+ * Full-screen, distraction-free rendering of an article's extracted text.
+ * Content is shown as plain-text blocks; the original page is one tap away.
+ */
+function ReaderView({ item, onClose }) {
+    const [state, setState] = useState({ status: 'loading', article: null, error: null });
+
+    useEffect(() => {
+        let cancelled = false;
+
+        loadReaderArticle(item)
+            .then(article => {
+                if (!cancelled) setState({ status: 'ready', article, error: null });
+            })
+            .catch(error => {
+                console.warn('[Reader] Extraction failed:', error.message);
+                if (!cancelled) setState({ status: 'error', article: null, error: error.message });
+            });
+
+        return () => { cancelled = true; };
+    }, [item]);
+
+    // Reading time feeds the personalization model
+    useEffect(() => {
+        const openedAt = Date.now();
+        return () => recordDwell(item, Date.now() - openedAt);
+    }, [item]);
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const { status, article, error } = state;
+    const publishedAt = article?.publishedAt || item.publishedAt;
+
+    return (
+        <div className="reader" role="dialog" aria-modal="true" aria-label={item.headline || item.title}>
+            <div className="reader__toolbar">
+                <button className="reader__btn" onClick={onClose} aria-label="Close reader">✕</button>
+                <span className="reader__source">{article?.siteName || item.source}</span>
+                {item.url && (
+                    <a className="reader__btn" href={item.url} target="_blank" rel="noopener noreferrer">
+                        Original ↗
+                    </a>
+                )}
+            </div>
+
+            <article className="reader__body">
+                <h1 className="reader__title">{article?.title || item.headline || item.title}</h1>
+                <div className="reader__meta">
+                    {article?.byline && <span>{article.byline}</span>}
+                    {publishedAt && <span>{new Date(publishedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>}
+                    {article?.wordCount > 0 && <span>{Math.max(1, Math.round(article.wordCount / 200))} min read</span>}
+                    {article?.fromCache && <span title="Saved for offline reading">💾 Saved</span>}
+                </div>
+
+                {status === 'loading' && (
+                    <div className="loading" style={{ padding: '40px' }}>
+                        <div className="loading__spinner"></div>
+                    </div>
+                )}
+
+                {status === 'error' && (
+                    <div className="empty-state">
+                        <div className="empty-state__icon">📄</div>
+                        <p>Reader view isn't available for this article.</p>
+                        <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{error}</p>
+                        {item.summary && <p className="reader__fallback">{item.summary}</p>}
+                    </div>
+                )}
+
+                {status === 'ready' && (
+                    <>
+                        {article.leadImage && (
+                            <img className="reader__image" src={article.leadImage} alt="" loading="lazy" />
+                        )}
+                        {article.blocks.map((block, i) => {
+                            switch (block.type) {
+                                case 'h': return <h2 key={i} className="reader__heading">{block.text}</h2>;
+                                case 'quote': return <blockquote key={i} className="reader__quote">{block.text}</blockquote>;
+                                case 'li': return <p key={i} className="reader__paragraph reader__paragraph--item">• {block.text}</p>;
+                                default: return <p key={i} className="reader__paragraph">{block.text}</p>;
+                            }
+                        })}
+                    </>
+                )}
+            </article>
+        </div>
+    );
+}
+
+export default ReaderView;
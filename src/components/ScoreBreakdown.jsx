@@ -0,0 +1,70 @@
+import React from 'react';
+import { SCORING_FACTORS } from '../utils/scoringWeights';
+
+const LABELS = Object.fromEntries(SCORING_FACTORS.map(f => [f.key, f.label]));
+const POINT_LABELS = { ...LABELS, sentiment: 'Sentiment' };
+
+const fmt = (n) => (Math.round(n * 100) / 100).toString();
+
+/**
+ * Score Breakdown
+ * "Why is this ranked here": each factor's contribution to an item's impact score.
+ */
+function ScoreBreakdown({ breakdown }) {
+    if (!breakdown) return null;
+
+    const { points, base, multipliers, sectionPriority, breaking, total, model } = breakdown;
+
+    // Only show multipliers that actually moved the score
+    const activeMultipliers = Object.entries(multipliers).filter(([, m]) => Math.abs(m - 1) > 0.005);
+
+    return (
+        <div className="score-breakdown" onClick={(e) => e.stopPropagation()}>
+            <div className="score-breakdown__group">
+                {Object.entries(points).map(([key, value]) => (
+                    <div key={key} className="score-breakdown__row">
+                        <span>{POINT_LABELS[key] || key}</span>
+                        <span>+{fmt(value)}</span>
+                    </div>
+                ))}
+                <div className="score-breakdown__row score-breakdown__row--sum">
+                    <span>Base</span>
+                    <span>{fmt(base)}</span>
+                </div>
+            </div>
+
+            <div className="score-breakdown__group">
+                {activeMultipliers.map(([key, value]) => (
+                    <div key={key} className="score-breakdown__row">
+                        <span>{LABELS[key] || key}</span>
+                        <span>×{fmt(value)}</span>
+                    </div>
+                ))}
+                {sectionPriority !== 1 && (
+                    <div className="score-breakdown__row">
+                        <span>Section priority</span>
+                        <span>×{fmt(sectionPriority)}</span>
+                    </div>
+                )}
+                {breaking !== 1 && (
+                    <div className="score-breakdown__row">
+                        <span>{LABELS.breaking}</span>
+                        <span>×{fmt(breaking)}</span>
+                    </div>
+                )}
+                {model === 'smart' && activeMultipliers.length === 0 && sectionPriority === 1 && breaking === 1 && (
+                    <div className="score-breakdown__row">
+                        <span>No multipliers applied</span>
+                        <span>×1</span>
+                    </div>
+                )}
+                <div className="score-breakdown__row score-breakdown__row--sum">
+                    <span>Score{model === 'classic' ? ' (classic model)' : ''}</span>
+                    <span>{fmt(total)}</span>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ScoreBreakdown;
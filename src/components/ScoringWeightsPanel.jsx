@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { DEFAULT_SETTINGS } from '../utils/storage';
+import { SCORING_FACTORS, getScoringWeights, getSectionPriority, getDiversityConfig } from '../utils/scoringWeights';
+import { getSectionList } from '../utils/sectionRegistry';
+import Toggle from './Toggle';
+
+/**
+ * Scoring Weights Panel
+ * Sliders for every factor in computeImpactScore, per-section priority and
+ * per-section diversity (topic spread and per-source cap).
+ * Changes re-rank on the next refresh; the 📊 breakdown on each story shows the effect.
+ */
+function ScoringWeightsPanel() {
+    const { settings, updateSettings } = useSettings();
+    const [expanded, setExpanded] = useState(false);
+
+    const weights = getScoringWeights(settings);
+    const sections = getSectionList(settings);
+
+    const setScoring = (patch) => {
+        updateSettings({
+            ...settings,
+            scoring: { ...DEFAULT_SETTINGS.scoring, ...settings.scoring, ...patch }
+        });
+    };
+
+    const setWeight = (key, value) => setScoring({ weights: { ...weights, [key]: value } });
+
+    const setPriority = (key, value) => setScoring({
+        sectionPriorities: { ...settings.scoring?.sectionPriorities, [key]: value }
+    });
+
+    const diversity = { ...DEFAULT_SETTINGS.scoring.diversity, ...settings.scoring?.diversity };
+
+    const setDiversity = (patch) => setScoring({ diversity: { ...diversity, ...patch } });
+
+    const setSectionDiversity = (key, patch) => setDiversity({
+        sections: { ...diversity.sections, [key]: { ...diversity.sections?.[key], ...patch } }
+    });
+
+    const handleReset = () => {
+        if (window.confirm('Reset ranking weights, section priorities and diversity to defaults?')) {
+            updateSettings({ ...settings, scoring: DEFAULT_SETTINGS.scoring });
+        }
+    };
+
+    const renderSlider = (key, label, value, max, step, onChange, help, suffix = '') => (
+        <div key={key} className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                    <span style={{ fontSize: '0.85rem' }}>{label}</span>
+                    {help && <small style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>{help}</small>}
+                </span>
+                <span style={{ fontWeight: 'bold', fontSize: '0.85rem' }}>{suffix}{value}</span>
+            </div>
+            <input
+                type="range"
+                min="0"
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(parseFloat(e.target.value))}
+                style={{ width: '100%' }}
+            />
+        </div>
+    );
+
+    return (
+        <section className="settings-section">
+            <h2
+                className="settings-section__title"
+                style={{ cursor: 'pointer' }}
+                onClick={() => setExpanded(!expanded)}
+            >
+                <span>⚖️</span> Ranking Weights
+                <span style={{ marginLeft: 'auto', fontSize: '0.8rem' }}>
+                    {expanded ? '▲' : '▼'}
+                </span>
+            </h2>
+
+            {expanded && (
+                <div className="settings-card">
+                    <div className="settings-item" style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                        Points add up to a base score; multipliers scale it (1 = as designed, 0 = ignore).
+                        Tap 📊 on any story to see how it was scored.
+                    </div>
+
+                    {SCORING_FACTORS.map(factor => renderSlider(
+                        factor.key,
+                        factor.label,
+                        weights[factor.key],
+                        factor.max,
+                        factor.step,
+                        (val) => setWeight(factor.key, val),
+                        factor.help,
+                        factor.kind === 'multiplier' ? '×' : '+'
+                    ))}
+
+                    <div className="settings-item" style={{ fontSize: '0.8rem', fontWeight: 600 }}>
+                        Section Priorities
+                    </div>
+                    {sections.map(section => renderSlider(
+                        `section-${section.key}`,
+                        `${section.icon} ${section.label}`,
+                        getSectionPriority(section.key, settings),
+                        3,
+                        0.1,
+                        (val) => setPriority(section.key, val),
+                        null,
+                        '×'
+                    ))}
+
+                    <div className="settings-item">
+                        <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                            <span style={{ fontSize: '0.8rem', fontWeight: 600 }}>Diversity</span>
+                            <small style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                                Keeps one event or one source from filling a section
+                            </small>
+                        </span>
+                        <Toggle
+                            checked={diversity.enabled !== false}
+                            onChange={(val) => setDiversity({ enabled: val })}
+                        />
+                    </div>
+                    {diversity.enabled !== false && sections.map(section => {
+                        const config = getDiversityConfig(section.key, settings);
+                        return (
+                            <div key={`diversity-${section.key}`}>
+                                {renderSlider(
+                                    `spread-${section.key}`,
+                                    `${section.icon} ${section.label}`,
+                                    config.spread,
+                                    1,
+                                    0.05,
+                                    (val) => setSectionDiversity(section.key, { spread: val }),
+                                    'Topic spread (0 = score order only)'
+                                )}
+                                <div className="settings-item">
+                                    <span className="settings-item__label" style={{ fontSize: '0.75rem' }}>
+                                        Max stories per source (0 = no cap)
+                                    </span>
+                                    <input
+                                        type="number"
+                                        className="settings-item__count"
+                                        min={0}
+                                        max={20}
+                                        value={config.maxPerSource}
+                                        onChange={(e) => setSectionDiversity(section.key, { maxPerSource: Math.max(0, parseInt(e.target.value) || 0) })}
+                                    />
+                                </div>
+                            </div>
+                        );
+                    })}
+
+                    <div className="settings-item">
+                        <button className="btn btn--secondary" style={{ flex: 1 }} onClick={handleReset}>
+                            Reset to Defaults
+                        </button>
+                    </div>
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default ScoringWeightsPanel;
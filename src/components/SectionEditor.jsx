@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import Toggle from './Toggle';
+import { useSettings } from '../context/SettingsContext';
+import { getSectionFeeds } from '../services/rssAggregator';
+import {
+    getSectionList,
+    addUserSection,
+    removeUserSection,
+    moveSection
+} from '../utils/sectionRegistry';
+
+const smallBtnStyle = {
+    padding: '2px 6px',
+    fontSize: '0.7rem',
+    minHeight: 'auto',
+    background: 'var(--bg-secondary)',
+    color: 'var(--text-primary)',
+    border: '1px solid var(--border-default)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * Section Editor
+ * Create, rename, reorder, re-icon and delete news sections, and edit the
+ * keyword list the classifier uses for each one.
+ */
+function SectionEditor() {
+    const { settings, updateSettings } = useSettings();
+    const [openKey, setOpenKey] = useState(null);
+
+    const sections = getSectionList(settings);
+
+    // Patch one section's config in settings.sections
+    const patchSection = (key, patch) => {
+        updateSettings({
+            ...settings,
+            sections: {
+                ...settings.sections,
+                [key]: { ...settings.sections?.[key], ...patch }
+            }
+        });
+    };
+
+    const handleRename = (section) => {
+        const label = window.prompt('Section name', section.label)?.trim();
+        if (label && label !== section.label) patchSection(section.key, { label });
+    };
+
+    const handleIcon = (section) => {
+        const icon = window.prompt('Section icon (emoji)', section.icon)?.trim();
+        if (icon) patchSection(section.key, { icon });
+    };
+
+    const handleKeywords = (section, text) => {
+        const keywords = [...new Set(text.split(',').map(k => k.trim()).filter(Boolean))];
+        if (keywords.join(',') !== section.keywords.join(',')) {
+            patchSection(section.key, { keywords });
+        }
+    };
+
+    const handleDelete = (section) => {
+        const feedCount = (settings.customFeeds || []).filter(f => f.section === section.key).length;
+        const feedNote = feedCount > 0 ? ` and its ${feedCount} custom feed${feedCount > 1 ? 's' : ''}` : '';
+        if (window.confirm(`Delete "${section.label}"${feedNote}?`)) {
+            updateSettings(removeUserSection(settings, section.key));
+        }
+    };
+
+    const handleAdd = () => {
+        const label = window.prompt('Name for the new section')?.trim();
+        if (!label) return;
+        const { key, settings: next } = addUserSection(settings, label);
+        updateSettings(next);
+        setOpenKey(key);
+    };
+
+    return (
+        <div className="settings-card">
+            {sections.map((section, index) => (
+                <div key={section.key} className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', gap: '6px' }}>
+                        <div className="settings-item__label" style={{ gap: '6px', minWidth: 0 }}>
+                            <span style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                                <button
+                                    style={smallBtnStyle}
+                                    disabled={index === 0}
+                                    onClick={() => updateSettings(moveSection(settings, section.key, -1))}
+                                    aria-label={`Move ${section.label} up`}
+                                >▲</button>
+                                <button
+                                    style={smallBtnStyle}
+                                    disabled={index === sections.length - 1}
+                                    onClick={() => updateSettings(moveSection(settings, section.key, 1))}
+                                    aria-label={`Move ${section.label} down`}
+                                >▼</button>
+                            </span>
+                            <span style={{ cursor: 'pointer' }} onClick={() => handleIcon(section)} title="Change icon">
+                                {section.icon}
+                            </span>
+                            <span
+                                style={{ cursor: 'pointer', wordBreak: 'break-word' }}
+                                onClick={() => setOpenKey(openKey === section.key ? null : section.key)}
+                            >
+                                {section.label} {openKey === section.key ? '▴' : '▾'}
+                            </span>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <span style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{section.count}</span>
+                            <Toggle
+                                checked={section.enabled}
+                                onChange={(val) => patchSection(section.key, { enabled: val })}
+                            />
+                        </div>
+                    </div>
+                    <input
+                        type="range"
+                        min="0"
+                        max="25"
+                        step="1"
+                        value={section.count}
+                        onChange={(e) => patchSection(section.key, { count: parseInt(e.target.value) })}
+                        style={{ width: '100%' }}
+                    />
+
+                    {openKey === section.key && (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+                            <label style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                Classifier keywords (comma separated){section.custom ? '' : ' — added to the built-in list'}
+                            </label>
+                            <input
+                                key={`${section.key}-${section.keywords.join(',')}`}
+                                type="text"
+                                className="api-input"
+                                defaultValue={section.keywords.join(', ')}
+                                onBlur={(e) => handleKeywords(section, e.target.value)}
+                                placeholder="e.g. cricket, IPL, BCCI"
+                            />
+                            <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                {getSectionFeeds(section.key, settings).length} feeds
+                                {section.custom && ' · assign custom feeds to this section below'}
+                            </div>
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                <button style={smallBtnStyle} onClick={() => handleRename(section)}>✏️ Rename</button>
+                                {section.renamed && (
+                                    <button style={smallBtnStyle} onClick={() => patchSection(section.key, { label: undefined })}>
+                                        Reset name
+                                    </button>
+                                )}
+                                {section.custom && (
+                                    <button
+                                        className="btn btn--danger"
+                                        style={{ padding: '2px 8px', fontSize: '0.7rem', minHeight: 'auto' }}
+                                        onClick={() => handleDelete(section)}
+                                    >
+                                        🗑 Delete
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <div className="settings-item">
+                <button className="btn btn--secondary" style={{ flex: 1 }} onClick={handleAdd}>
+                    ➕ Add Section
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default SectionEditor;
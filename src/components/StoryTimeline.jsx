@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import { getStory } from '../services/storyTracker';
+import './StoryTimeline.css';
+
+const EVENT_LABELS = {
+    first: (event) => `First reported by ${event.source}`,
+    source: (event) => `${event.source} joins · ${event.sourceCount} outlets`,
+    update: (event) => `Update from ${event.source}`,
+    headline: () => 'Headline changed'
+};
+
+function formatWhen(timestamp) {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return isToday ? time : `${date.toLocaleDateString([], { day: 'numeric', month: 'short' })} ${time}`;
+}
+
+/**
+ * Story Timeline
+ * Full-screen history of one tracked story: when it was first seen, how
+ * its outlet count grew, follow-up reports and headline changes.
+ */
+function StoryTimeline({ storyId, onClose }) {
+    // Snapshot on open; later refreshes don't reshuffle the open timeline
+    const [story] = useState(() => getStory(storyId));
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const timeline = story?.timeline || [];
+    const maxSources = Math.max(1, ...timeline.map(event => event.sourceCount));
+
+    return (
+        <div className="story-timeline" role="dialog" aria-modal="true" aria-label="Developing story timeline">
+            <div className="story-timeline__toolbar">
+                <button className="story-timeline__btn" onClick={onClose} aria-label="Close timeline">✕</button>
+                <span className="story-timeline__label">🧵 Developing story</span>
+            </div>
+
+            <div className="story-timeline__body">
+                {!story ? (
+                    <div className="empty-state">
+                        <p>This story is no longer tracked.</p>
+                    </div>
+                ) : (
+                    <>
+                        <h1 className="story-timeline__title">{story.headline}</h1>
+                        <p className="story-timeline__summary">
+                            First seen {formatWhen(story.firstSeen)} · {story.sources.length} outlets · {timeline.length - 1} updates
+                        </p>
+
+                        <div className="story-timeline__growth" title="Outlets covering the story over time">
+                            {timeline.map((event, i) => (
+                                <span
+                                    key={i}
+                                    className="story-timeline__bar"
+                                    style={{ height: `${(event.sourceCount / maxSources) * 100}%` }}
+                                />
+                            ))}
+                        </div>
+
+                        <ol className="story-timeline__events">
+                            {[...timeline].reverse().map((event, i) => (
+                                <li key={i} className={`story-timeline__event story-timeline__event--${event.type}`}>
+                                    <div className="story-timeline__when">{formatWhen(event.t)}</div>
+                                    <div className="story-timeline__what">{EVENT_LABELS[event.type](event)}</div>
+                                    <div className="story-timeline__headline">{event.headline}</div>
+                                </li>
+                            ))}
+                        </ol>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default StoryTimeline;
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { fetchAllMarketData } from '../services/indianMarketService';
+import { evaluateMarketAlerts } from '../services/alertEngine';
 
 const MarketContext = createContext(null);
 
@@ -43,6 +44,8 @@ export function MarketProvider({ children }) {
             // Save to cache
             localStorage.setItem(CACHE_KEY, JSON.stringify(data));
 
+            evaluateMarketAlerts(data);
+
             console.log('[MarketContext] ✅ Market data loaded');
         } catch (err) {
             console.error('[MarketContext] ❌ Failed to load market data:', err);
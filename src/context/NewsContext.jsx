@@ -1,16 +1,162 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { fetchSectionNews, clearNewsCache } from '../services/rssAggregator';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { fetchSectionNews, getCachedSectionNews, clearNewsCache } from '../services/rssAggregator';
 import { getSettings } from '../utils/storage';
+import { useSettings } from './SettingsContext';
+import { getSectionList } from '../utils/sectionRegistry';
+import { enrichMissingImages } from '../services/imageEnrichmentService';
+import { trackStories } from '../services/storyTracker';
+import { BREAKING_TIERS } from '../utils/breakingNewsDetector';
+import { evaluateStoryAlerts } from '../services/alertEngine';
+import { recordSectionCorrection } from '../services/sectionLearner';
 
 const NewsContext = createContext();
 
+const MAX_SECTION_OVERRIDES = 200;
+
+/**
+ * Section the user moved this story to, if any. A cluster counts as moved
+ * when any of its reports was, since its lead report can change between refreshes.
+ */
+function getSectionOverride(item, overrides) {
+    if (overrides[item.id]) return overrides[item.id];
+    const member = item.clusterMembers?.find(m => overrides[m.id]);
+    return member ? overrides[member.id] : null;
+}
+
+function applySectionOverride(item, section) {
+    return {
+        ...item,
+        section,
+        secondarySection: null,
+        classification: { confidence: 1, reason: 'moved by you', labels: [] }
+    };
+}
+
+const byImpact = (a, b) => (b.impactScore || 0) - (a.impactScore || 0);
+
+/**
+ * Inserts an item into an already ranked list ahead of the first item that
+ * scores lower, leaving the list's own (diversified) order untouched.
+ */
+function placeByScore(list, item) {
+    const index = list.findIndex(other => (other.impactScore || 0) < (item.impactScore || 0));
+    if (index === -1) list.push(item);
+    else list.splice(index, 0, item);
+}
+
+/**
+ * Moves fetched items into the section they were classified into, or the
+ * one the user moved them to (settings.sectionOverrides).
+ * Items classified into a section that no longer exists (e.g. a deleted
+ * user section) stay in the section they were fetched for. Items with a
+ * close second classification are also listed in that section, marked
+ * `placement: 'secondary'`, unless it already holds them.
+ *
+ * Each section keeps rankAndFilter's order (score plus diversity); only
+ * items arriving from another section are slotted in by score.
+ */
+function redistributeBySection(collectedResults, allSections, overrides = getSettings().sectionOverrides || {}) {
+    const redistributed = {};
+    const arriving = [];
+    const secondary = [];
+
+    // Initialize buckets for all fetched keys to ensure clearing
+    Object.keys(collectedResults).forEach(key => redistributed[key] = []);
+
+    Object.entries(collectedResults).forEach(([fetchedKey, items]) => {
+        items.forEach(fetched => {
+            const override = getSectionOverride(fetched, overrides);
+            const item = override && allSections.includes(override)
+                ? applySectionOverride(fetched, override)
+                : fetched;
+            const section = item.section && allSections.includes(item.section)
+                ? item.section
+                : fetchedKey;
+
+            if (section === fetchedKey) redistributed[section].push(item);
+            else arriving.push([section, item]);
+
+            if (item.secondarySection && item.secondarySection !== section && allSections.includes(item.secondarySection)) {
+                secondary.push([item.secondarySection, { ...item, placement: 'secondary' }]);
+            }
+        });
+    });
+
+    const place = ([key, item]) => {
+        if (!redistributed[key]) redistributed[key] = [];
+        if (redistributed[key].some(other => other.id === item.id)) return;
+        placeByScore(redistributed[key], item);
+    };
+    arriving.sort((a, b) => byImpact(a[1], b[1])).forEach(place);
+    secondary.sort((a, b) => byImpact(a[1], b[1])).forEach(place);
+
+    return redistributed;
+}
+
+/**
+ * Shown news with one story taken out of every section and put in `section`.
+ * Stories that aren't in the main feed (e.g. from a followed topic) are left alone.
+ */
+function moveItem(data, item, section) {
+    if (!Object.values(data).some(items => items.some(other => other.id === item.id))) return data;
+
+    const moved = applySectionOverride({ ...item, placement: null }, section);
+    const updated = {};
+    Object.entries(data).forEach(([key, items]) => {
+        updated[key] = items.filter(other => other.id !== item.id);
+    });
+    updated[section] = [...(updated[section] || [])];
+    placeByScore(updated[section], moved);
+    return updated;
+}
+
+/**
+ * Imageless articles that will actually be shown, best first: the visible
+ * slice of each enabled section, interleaved so every section gets a turn.
+ */
+function pickImageCandidates(data, sectionList) {
+    const visible = sectionList
+        .filter(s => s.enabled)
+        .map(s => (data[s.key] || []).slice(0, s.count).filter(item => !item.imageUrl));
+
+    const candidates = [];
+    for (let rank = 0; visible.some(list => rank < list.length); rank++) {
+        visible.forEach(list => {
+            if (list[rank]) candidates.push(list[rank]);
+        });
+    }
+    return candidates;
+}
+
+function applyImages(data, images) {
+    const updated = {};
+    Object.entries(data).forEach(([key, items]) => {
+        updated[key] = items.map(item => images.has(item.id) ? { ...item, imageUrl: images.get(item.id) } : item);
+    });
+    return updated;
+}
+
+/**
+ * Top breaking stories for the banner: most severe tier first, then by breaking score
+ */
+function selectBreaking(items) {
+    const tierRank = (item) => BREAKING_TIERS.indexOf(item.breakingTier || 'developing');
+    return items
+        .filter(item => item.isBreaking || (item.breakingScore && item.breakingScore > 1.5))
+        .sort((a, b) => tierRank(b) - tierRank(a) || (b.breakingScore || 0) - (a.breakingScore || 0))
+        .slice(0, 3);
+}
+
 export function NewsProvider({ children }) {
     const [newsData, setNewsData] = useState({});
     const [breakingNews, setBreakingNews] = useState([]);
     const [loading, setLoading] = useState(true);
     const [errors, setErrors] = useState({});
     const [lastFetch, setLastFetch] = useState(0);
-    const [settingsHash, setSettingsHash] = useState(''); // NEW - Phase 6: Track settings changes
+    const settingsHashRef = useRef(''); // NEW - Phase 6: Track settings changes
+    const scoringHashRef = useRef('');
+    const rerankTimerRef = useRef(null);
+    const { settings: currentSettings, updateSettings } = useSettings();
 
 
     const refreshNews = useCallback(async (specificSections = null) => {
@@ -24,16 +170,20 @@ export function NewsProvider({ children }) {
                 return;
             }
 
-            const allSections = ['world', 'india', 'chennai', 'trichy', 'local', 'social', 'entertainment', 'business', 'technology'];
+            // Built-in + user-defined sections, in the user's order
+            const sectionList = getSectionList(settings);
+            const allSections = sectionList.map(s => s.key);
             const sectionsToFetch = specificSections || allSections;
 
             // Prioritize Sections: Main Page (High) -> Others (Low)
-            const highPriority = sectionsToFetch.filter(s => ['world', 'india', 'chennai', 'trichy'].includes(s));
-            const lowPriority = sectionsToFetch.filter(s => !['world', 'india', 'chennai', 'trichy'].includes(s));
+            const highPriorityKeys = sectionList.filter(s => s.priority === 'high').map(s => s.key);
+            const highPriority = sectionsToFetch.filter(s => highPriorityKeys.includes(s));
+            const lowPriority = sectionsToFetch.filter(s => !highPriorityKeys.includes(s));
 
             const batches = [highPriority, lowPriority].filter(b => b.length > 0);
 
             let allCollectedResults = {};
+            let latestData = {};
 
             for (const batch of batches) {
                 const batchResults = {};
@@ -48,7 +198,8 @@ export function NewsProvider({ children }) {
                             const articles = await fetchSectionNews(key, count + 5, settings.newsSources);
 
                             if (articles && Array.isArray(articles)) {
-                                batchResults[key] = articles;
+                                // Persistent story ids + developing-story timeline
+                                batchResults[key] = trackStories(articles);
                             } else {
                                 batchResults[key] = [];
                             }
@@ -69,34 +220,28 @@ export function NewsProvider({ children }) {
 
                 // --- REDISTRIBUTION PASS ---
                 const allFetched = Object.values(allCollectedResults).flat();
-                const redistributed = {};
-
-                // Initialize buckets for all fetched keys to ensure clearing
-                Object.keys(allCollectedResults).forEach(key => redistributed[key] = []);
-
-                allFetched.forEach(item => {
-                    const section = item.section || 'uncategorized';
-                    if (!redistributed[section]) redistributed[section] = [];
-                    redistributed[section].push(item);
-                });
-
-                Object.keys(redistributed).forEach(key => {
-                    redistributed[key].sort((a, b) => (b.impactScore || 0) - (a.impactScore || 0));
-                });
+                const redistributed = redistributeBySection(allCollectedResults, allSections);
+                latestData = redistributed;
 
                 setNewsData(prev => ({ ...prev, ...redistributed }));
                 setErrors(prev => ({ ...prev, ...batchErrors }));
 
                 // Breaking News Update (Incremental)
-                const breaking = allFetched
-                    .filter(item => item.isBreaking || (item.breakingScore && item.breakingScore > 1.5))
-                    .sort((a, b) => (b.breakingScore || 0) - (a.breakingScore || 0))
-                    .slice(0, 3);
-                setBreakingNews(breaking);
+                setBreakingNews(selectBreaking(allFetched));
             }
 
             setLastFetch(Date.now());
 
+            // User alert rules see the whole refresh at once
+            evaluateStoryAlerts(Object.values(latestData).flat());
+
+            // Background og:image lookup for visible imageless articles; never awaited
+            enrichMissingImages(pickImageCandidates(latestData, sectionList))
+                .then(images => {
+                    if (images.size > 0) setNewsData(prev => applyImages(prev, images));
+                })
+                .catch(err => console.warn('[NewsContext] Image enrichment failed:', err));
+
             const fetchDuration = Date.now() - fetchStartTime;
             console.log(`[NewsContext] ✅ Refresh complete in ${fetchDuration}ms`);
 
@@ -111,26 +256,68 @@ export function NewsProvider({ children }) {
         }
     }, []);
 
+    /**
+     * Cold start: render whatever the article store already holds
+     * so the page is populated before the first network refresh lands.
+     */
+    const hydrateFromStore = useCallback(async () => {
+        const settings = getSettings();
+        if (!settings) return;
+
+        const enabledSections = getSectionList(settings).filter(s => s.enabled);
+        const stored = {};
+
+        await Promise.all(enabledSections.map(async ({ key, count }) => {
+            const articles = await getCachedSectionNews(key, (count || 10) + 5, settings.newsSources);
+            if (articles.length > 0) stored[key] = trackStories(articles);
+        }));
+
+        if (Object.keys(stored).length === 0) return;
+
+        console.log(`[NewsContext] 💾 Hydrated ${Object.keys(stored).length} sections from store`);
+        const redistributed = redistributeBySection(stored, enabledSections.map(s => s.key));
+        // A refresh that already landed wins over stored data
+        setNewsData(prev => ({ ...redistributed, ...prev }));
+        setBreakingNews(prev => prev.length > 0 ? prev : selectBreaking(Object.values(stored).flat()));
+    }, []);
+
     // Watch for settings changes and invalidate cache (Phase 6)
     useEffect(() => {
-        const settings = getSettings();
         const newHash = JSON.stringify({
-            sources: settings.newsSources,
-            freshness: settings.freshnessLimitHours,
-            enableCache: settings.enableCache
+            sources: currentSettings.newsSources,
+            freshness: currentSettings.freshnessLimitHours,
+            enableCache: currentSettings.enableCache,
+            customFeeds: currentSettings.customFeeds,
+            disabledFeeds: currentSettings.disabledFeeds,
+            // Cached items carry their classified section, so keyword edits invalidate too
+            sections: getSectionList(currentSettings).map(s => [s.key, s.keywords])
+        });
+
+        // Ranking inputs only need a re-rank; stored articles stay valid
+        const newScoringHash = JSON.stringify({
+            scoring: currentSettings.scoring,
+            personalization: currentSettings.enablePersonalization,
+            proximity: [currentSettings.enableProximityScoring, currentSettings.homeLocation, currentSettings.weather?.cities]
         });
 
-        if (settingsHash && settingsHash !== newHash) {
+        if (settingsHashRef.current && settingsHashRef.current !== newHash) {
             console.log('[NewsContext] ⚙️ Settings changed - clearing cache and refreshing');
-            clearNewsCache();
-            refreshNews();
+            clearNewsCache().then(() => refreshNews());
+        } else if (scoringHashRef.current && scoringHashRef.current !== newScoringHash) {
+            // Debounced: weight sliders fire on every step of a drag
+            clearTimeout(rerankTimerRef.current);
+            rerankTimerRef.current = setTimeout(() => {
+                console.log('[NewsContext] ⚖️ Ranking settings changed - re-ranking');
+                refreshNews();
+            }, 800);
         }
-        setSettingsHash(newHash);
-    }, [refreshNews, settingsHash]); // Only run when hash changes
+        settingsHashRef.current = newHash;
+        scoringHashRef.current = newScoringHash;
+    }, [refreshNews, currentSettings]); // Only refreshes when hash changes
 
     useEffect(() => {
         console.log('[NewsContext] Mounting - Initial fetch');
-        refreshNews();
+        hydrateFromStore().finally(() => refreshNews());
 
         const interval = setInterval(() => {
             console.log('[NewsContext] Auto-refresh (5min cycle)');
@@ -141,7 +328,27 @@ export function NewsProvider({ children }) {
             clearInterval(interval);
             console.log('[NewsContext] Unmounting');
         };
-    }, [refreshNews]);
+    }, [refreshNews, hydrateFromStore]);
+
+    /**
+     * "Move to section": remembers the correction for this story (applied on
+     * every refresh), teaches the section learner, and moves it right away.
+     */
+    const moveToSection = useCallback((item, section) => {
+        if (!item?.id || !section || item.section === section) return;
+
+        const settings = getSettings();
+        const overrides = { ...settings.sectionOverrides };
+        delete overrides[item.id]; // Re-insert so the newest corrections are kept
+        overrides[item.id] = section;
+        updateSettings({
+            ...settings,
+            sectionOverrides: Object.fromEntries(Object.entries(overrides).slice(-MAX_SECTION_OVERRIDES))
+        });
+
+        recordSectionCorrection(item, section);
+        setNewsData(prev => moveItem(prev, item, section));
+    }, [updateSettings]);
 
     return (
         <NewsContext.Provider value={{
@@ -149,6 +356,7 @@ export function NewsProvider({ children }) {
             loading,
             errors,
             refreshNews,
+            moveToSection,
             breakingNews,
             lastFetch
         }}>
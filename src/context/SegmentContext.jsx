@@ -24,7 +24,9 @@ export function SegmentProvider({ children }) {
                 sendNotification(`${newSeg.icon} ${newSeg.label}`, {
                     body: 'New content available. Tap to refresh.',
                     tag: 'segment-update',
-                    renotify: true
+                    renotify: true,
+                    category: 'segment',
+                    link: '/'
                 });
 
                 scheduleNext(); // Schedule the next one
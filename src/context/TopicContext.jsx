@@ -68,6 +68,7 @@ export function TopicProvider({ children }) {
     const checkForUpdates = (newNews) => {
         let newCount = 0;
         let sampleTopic = '';
+        let sampleTopicId = null;
 
         Object.entries(newNews).forEach(([topicId, articles]) => {
             const oldArticles = topicNews[topicId] || [];
@@ -76,7 +77,10 @@ export function TopicProvider({ children }) {
                 if (articles[0].id !== oldArticles[0].id) {
                     newCount++;
                     const topic = followedTopics.find(t => t.id === topicId);
-                    if (topic) sampleTopic = topic.name;
+                    if (topic) {
+                        sampleTopic = topic.name;
+                        sampleTopicId = topic.id;
+                    }
                 }
             }
         });
@@ -88,7 +92,9 @@ export function TopicProvider({ children }) {
 
             sendNotification(title, {
                 body: 'Click to see the latest stories.',
-                tag: 'topic-update'
+                tag: 'topic-update',
+                category: 'topic',
+                link: newCount === 1 && sampleTopicId ? `/following/${sampleTopicId}` : '/following'
             });
         }
     };
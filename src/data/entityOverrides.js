@@ -1,6 +1,7 @@
 /**
  * Entity-based classification overrides
- * If article contains these entities, immediately classify to specified section
+ * An entity in the text is strong evidence for its section (see sectionClassifier),
+ * unless one of its context rules below applies.
  */
 export const ENTITY_OVERRIDES = {
     // Politicians → India section
@@ -25,11 +26,7 @@ export const ENTITY_OVERRIDES = {
     'Udhayanidhi Stalin': 'chennai',
     'Thol. Thirumavalavan': 'chennai',
     'Seeman': 'chennai',
-    'Kamal Haasan': 'entertainment', // He is both, but ent news more likely unless explicitly political context, handling in classifier logic?
-                                     // Actually, simple override prioritizes one. Let's stick to their primary fame or most frequent news category.
-                                     // For Kamal Haasan, let's keep him in Entertainment as defaults unless "party" or "election" keywords present.
-                                     // But overrides are absolute. I'll remove Kamal from here to let keywords decide,
-                                     // or set him to entertainment as that's 80% of news.
+    'Kamal Haasan': 'entertainment', // Political coverage is routed by ENTITY_CONTEXT_RULES
 
     // Celebrities → Entertainment
     'Rajinikanth': 'entertainment',
@@ -87,3 +84,27 @@ export const ENTITY_OVERRIDES = {
     'Nifty 50': 'business',
     'Sensex': 'business'
 };
+
+/**
+ * Context rules: entity + any of the keywords → section.
+ * For people and companies whose news splits across sections; a matching
+ * rule outweighs the entity's default section above.
+ */
+export const ENTITY_CONTEXT_RULES = [
+    { entity: 'Kamal Haasan', keywords: ['party', 'election', 'mnm', 'makkal needhi maiam', 'rajya sabha', 'alliance', 'campaign'], section: 'chennai' },
+    { entity: 'Vijay', keywords: ['tvk', 'tamilaga vettri kazhagam', 'party', 'election', 'rally', 'alliance', 'campaign'], section: 'chennai' },
+    { entity: 'Udhayanidhi Stalin', keywords: ['film', 'movie', 'box office', 'producer'], section: 'entertainment' },
+    { entity: 'Tesla', keywords: ['shares', 'stock', 'earnings', 'quarterly', 'revenue', 'market cap'], section: 'business' },
+    { entity: 'Nvidia', keywords: ['shares', 'stock', 'earnings', 'quarterly', 'revenue', 'market cap'], section: 'business' },
+    { entity: 'MS Dhoni', keywords: ['film', 'movie', 'production', 'trailer'], section: 'entertainment' },
+    { entity: 'Mukesh Ambani', keywords: ['wedding', 'sangeet', 'celebrities'], section: 'entertainment' }
+];
+
+/**
+ * Other people and things sharing an entity's name. Entities match whole
+ * words only ("Vijay" never matches "Vijayawada"); these phrases are ignored too.
+ */
+export const ENTITY_EXCLUSIONS = {
+    'Vijay': ['Vijay Mallya', 'Vijay Sethupathi', 'Vijay Deverakonda', 'Vijay Antony', 'Vijay Shankar', 'Vijay Varma', 'Vijay Hazare', 'Vijay Diwas'],
+    'Tesla': ['Nikola Tesla']
+};
@@ -1,8 +1,104 @@
-// Geographic coordinates and boost factors for proximity scoring
-export const LOCATIONS = {
-    chennai: { lat: 13.0827, lon: 80.2707, boost: 2.0 },
-    trichy: { lat: 10.7905, lon: 78.7047, boost: 1.8 },
-    'tamil nadu': { lat: 11.1271, lon: 78.6569, boost: 1.6 },
-    muscat: { lat: 23.5880, lon: 58.3829, boost: 1.5 },
-    india: { lat: 20.5937, lon: 78.9629, boost: 1.3 }
+// Gazetteer for proximity scoring: places the app's readers care about, with
+// coordinates, the names they appear under in headlines, and the enclosing
+// place (parent) so a mention of a state or country can be matched to the
+// cities inside it.
+//
+// kind: 'locality' (neighbourhood/suburb), 'city', 'district', 'governorate',
+//       'state', 'country'
+// Keys are also valid values for settings.weather.cities and settings.homeLocation.
+
+export const GAZETTEER = {
+    // ---------- Countries & states ----------
+    india: { name: 'India', kind: 'country', lat: 20.5937, lon: 78.9629, aliases: ['india'] },
+    oman: { name: 'Oman', kind: 'country', lat: 21.4735, lon: 55.9754, aliases: ['oman'] },
+    'tamil nadu': { name: 'Tamil Nadu', kind: 'state', parent: 'india', lat: 11.1271, lon: 78.6569, aliases: ['tamil nadu', 'tamilnadu'] },
+    puducherry: { name: 'Puducherry', kind: 'state', parent: 'india', lat: 11.9416, lon: 79.8083, aliases: ['puducherry', 'pondicherry'] },
+
+    // ---------- Chennai ----------
+    chennai: { name: 'Chennai', kind: 'city', parent: 'tamil nadu', lat: 13.0827, lon: 80.2707, aliases: ['chennai', 'madras'] },
+    adyar: { name: 'Adyar', kind: 'locality', parent: 'chennai', lat: 13.0012, lon: 80.2565, aliases: ['adyar'] },
+    't nagar': { name: 'T. Nagar', kind: 'locality', parent: 'chennai', lat: 13.0418, lon: 80.2341, aliases: ['t nagar', 't. nagar', 'thyagaraya nagar'] },
+    velachery: { name: 'Velachery', kind: 'locality', parent: 'chennai', lat: 12.9815, lon: 80.2180, aliases: ['velachery'] },
+    tambaram: { name: 'Tambaram', kind: 'locality', parent: 'chennai', lat: 12.9249, lon: 80.1000, aliases: ['tambaram'] },
+    'anna nagar': { name: 'Anna Nagar', kind: 'locality', parent: 'chennai', lat: 13.0850, lon: 80.2101, aliases: ['anna nagar'] },
+    mylapore: { name: 'Mylapore', kind: 'locality', parent: 'chennai', lat: 13.0368, lon: 80.2676, aliases: ['mylapore'] },
+    guindy: { name: 'Guindy', kind: 'locality', parent: 'chennai', lat: 13.0067, lon: 80.2206, aliases: ['guindy'] },
+    porur: { name: 'Porur', kind: 'locality', parent: 'chennai', lat: 13.0382, lon: 80.1565, aliases: ['porur'] },
+    egmore: { name: 'Egmore', kind: 'locality', parent: 'chennai', lat: 13.0732, lon: 80.2609, aliases: ['egmore'] },
+    kodambakkam: { name: 'Kodambakkam', kind: 'locality', parent: 'chennai', lat: 13.0521, lon: 80.2255, aliases: ['kodambakkam'] },
+    'besant nagar': { name: 'Besant Nagar', kind: 'locality', parent: 'chennai', lat: 13.0003, lon: 80.2667, aliases: ['besant nagar', 'elliots beach'] },
+    sholinganallur: { name: 'Sholinganallur', kind: 'locality', parent: 'chennai', lat: 12.9010, lon: 80.2279, aliases: ['sholinganallur'] },
+    perungudi: { name: 'Perungudi', kind: 'locality', parent: 'chennai', lat: 12.9654, lon: 80.2461, aliases: ['perungudi'] },
+    chromepet: { name: 'Chromepet', kind: 'locality', parent: 'chennai', lat: 12.9516, lon: 80.1462, aliases: ['chromepet'] },
+    ambattur: { name: 'Ambattur', kind: 'locality', parent: 'chennai', lat: 13.1143, lon: 80.1548, aliases: ['ambattur'] },
+    avadi: { name: 'Avadi', kind: 'locality', parent: 'chennai', lat: 13.1067, lon: 80.0970, aliases: ['avadi'] },
+    poonamallee: { name: 'Poonamallee', kind: 'locality', parent: 'chennai', lat: 13.0473, lon: 80.0945, aliases: ['poonamallee'] },
+    royapettah: { name: 'Royapettah', kind: 'locality', parent: 'chennai', lat: 13.0540, lon: 80.2630, aliases: ['royapettah'] },
+    triplicane: { name: 'Triplicane', kind: 'locality', parent: 'chennai', lat: 13.0588, lon: 80.2756, aliases: ['triplicane'] },
+    nungambakkam: { name: 'Nungambakkam', kind: 'locality', parent: 'chennai', lat: 13.0569, lon: 80.2425, aliases: ['nungambakkam'] },
+    saidapet: { name: 'Saidapet', kind: 'locality', parent: 'chennai', lat: 13.0213, lon: 80.2231, aliases: ['saidapet'] },
+    vadapalani: { name: 'Vadapalani', kind: 'locality', parent: 'chennai', lat: 13.0500, lon: 80.2121, aliases: ['vadapalani'] },
+    perambur: { name: 'Perambur', kind: 'locality', parent: 'chennai', lat: 13.1210, lon: 80.2330, aliases: ['perambur'] },
+    pallavaram: { name: 'Pallavaram', kind: 'locality', parent: 'chennai', lat: 12.9675, lon: 80.1491, aliases: ['pallavaram'] },
+    thiruvanmiyur: { name: 'Thiruvanmiyur', kind: 'locality', parent: 'chennai', lat: 12.9830, lon: 80.2594, aliases: ['thiruvanmiyur'] },
+    koyambedu: { name: 'Koyambedu', kind: 'locality', parent: 'chennai', lat: 13.0694, lon: 80.1948, aliases: ['koyambedu'] },
+    kilpauk: { name: 'Kilpauk', kind: 'locality', parent: 'chennai', lat: 13.0827, lon: 80.2420, aliases: ['kilpauk'] },
+    ennore: { name: 'Ennore', kind: 'locality', parent: 'chennai', lat: 13.2146, lon: 80.3203, aliases: ['ennore'] },
+    tiruvottiyur: { name: 'Tiruvottiyur', kind: 'locality', parent: 'chennai', lat: 13.1643, lon: 80.3001, aliases: ['tiruvottiyur', 'thiruvottiyur'] },
+    marina: { name: 'Marina Beach', kind: 'locality', parent: 'chennai', lat: 13.0500, lon: 80.2824, aliases: ['marina beach'] },
+
+    // ---------- Around Chennai ----------
+    chengalpattu: { name: 'Chengalpattu', kind: 'district', parent: 'tamil nadu', lat: 12.6921, lon: 79.9707, aliases: ['chengalpattu', 'chengalpet'] },
+    kanchipuram: { name: 'Kanchipuram', kind: 'district', parent: 'tamil nadu', lat: 12.8342, lon: 79.7036, aliases: ['kanchipuram', 'kancheepuram'] },
+    tiruvallur: { name: 'Tiruvallur', kind: 'district', parent: 'tamil nadu', lat: 13.1439, lon: 79.9086, aliases: ['tiruvallur', 'thiruvallur'] },
+    sriperumbudur: { name: 'Sriperumbudur', kind: 'city', parent: 'tamil nadu', lat: 12.9675, lon: 79.9419, aliases: ['sriperumbudur'] },
+    mahabalipuram: { name: 'Mahabalipuram', kind: 'city', parent: 'tamil nadu', lat: 12.6208, lon: 80.1945, aliases: ['mahabalipuram', 'mamallapuram'] },
+    vellore: { name: 'Vellore', kind: 'district', parent: 'tamil nadu', lat: 12.9165, lon: 79.1325, aliases: ['vellore'] },
+
+    // ---------- Trichy ----------
+    trichy: { name: 'Tiruchirappalli', kind: 'city', parent: 'tamil nadu', lat: 10.7905, lon: 78.7047, aliases: ['trichy', 'tiruchi', 'tiruchirappalli', 'tiruchirapalli'] },
+    srirangam: { name: 'Srirangam', kind: 'locality', parent: 'trichy', lat: 10.8624, lon: 78.6896, aliases: ['srirangam'] },
+    thiruverumbur: { name: 'Thiruverumbur', kind: 'locality', parent: 'trichy', lat: 10.7760, lon: 78.7900, aliases: ['thiruverumbur', 'tiruverumbur'] },
+    woraiyur: { name: 'Woraiyur', kind: 'locality', parent: 'trichy', lat: 10.8270, lon: 78.6790, aliases: ['woraiyur', 'uraiyur'] },
+    'thillai nagar': { name: 'Thillai Nagar', kind: 'locality', parent: 'trichy', lat: 10.8260, lon: 78.6850, aliases: ['thillai nagar'] },
+    samayapuram: { name: 'Samayapuram', kind: 'locality', parent: 'trichy', lat: 10.9220, lon: 78.7390, aliases: ['samayapuram'] },
+    manachanallur: { name: 'Manachanallur', kind: 'locality', parent: 'trichy', lat: 10.9060, lon: 78.7000, aliases: ['manachanallur'] },
+    lalgudi: { name: 'Lalgudi', kind: 'locality', parent: 'trichy', lat: 10.8740, lon: 78.8180, aliases: ['lalgudi'] },
+    manapparai: { name: 'Manapparai', kind: 'locality', parent: 'trichy', lat: 10.6070, lon: 78.4250, aliases: ['manapparai'] },
+    musiri: { name: 'Musiri', kind: 'locality', parent: 'trichy', lat: 10.9530, lon: 78.4440, aliases: ['musiri'] },
+    thuraiyur: { name: 'Thuraiyur', kind: 'locality', parent: 'trichy', lat: 11.1490, lon: 78.5990, aliases: ['thuraiyur'] },
+
+    // ---------- Central Tamil Nadu ----------
+    thanjavur: { name: 'Thanjavur', kind: 'district', parent: 'tamil nadu', lat: 10.7870, lon: 79.1378, aliases: ['thanjavur', 'tanjore'] },
+    kumbakonam: { name: 'Kumbakonam', kind: 'city', parent: 'tamil nadu', lat: 10.9617, lon: 79.3881, aliases: ['kumbakonam'] },
+    karur: { name: 'Karur', kind: 'district', parent: 'tamil nadu', lat: 10.9601, lon: 78.0766, aliases: ['karur'] },
+    pudukkottai: { name: 'Pudukkottai', kind: 'district', parent: 'tamil nadu', lat: 10.3797, lon: 78.8205, aliases: ['pudukkottai', 'pudukottai'] },
+    perambalur: { name: 'Perambalur', kind: 'district', parent: 'tamil nadu', lat: 11.2342, lon: 78.8807, aliases: ['perambalur'] },
+    ariyalur: { name: 'Ariyalur', kind: 'district', parent: 'tamil nadu', lat: 11.1401, lon: 79.0786, aliases: ['ariyalur'] },
+    dindigul: { name: 'Dindigul', kind: 'district', parent: 'tamil nadu', lat: 10.3673, lon: 77.9803, aliases: ['dindigul'] },
+    madurai: { name: 'Madurai', kind: 'city', parent: 'tamil nadu', lat: 9.9252, lon: 78.1198, aliases: ['madurai'] },
+    coimbatore: { name: 'Coimbatore', kind: 'city', parent: 'tamil nadu', lat: 11.0168, lon: 76.9558, aliases: ['coimbatore', 'kovai'] },
+
+    // ---------- Oman: Muscat ----------
+    muscat: { name: 'Muscat', kind: 'city', parent: 'oman', lat: 23.5880, lon: 58.3829, aliases: ['muscat'] },
+    seeb: { name: 'Seeb', kind: 'locality', parent: 'muscat', lat: 23.6703, lon: 58.1891, aliases: ['seeb'] },
+    muttrah: { name: 'Muttrah', kind: 'locality', parent: 'muscat', lat: 23.6170, lon: 58.5640, aliases: ['muttrah', 'mutrah'] },
+    ruwi: { name: 'Ruwi', kind: 'locality', parent: 'muscat', lat: 23.5900, lon: 58.5440, aliases: ['ruwi'] },
+    bawshar: { name: 'Bawshar', kind: 'locality', parent: 'muscat', lat: 23.5770, lon: 58.3990, aliases: ['bawshar', 'bausher'] },
+    qurum: { name: 'Qurum', kind: 'locality', parent: 'muscat', lat: 23.6100, lon: 58.4800, aliases: ['qurum'] },
+    khuwair: { name: 'Al Khuwair', kind: 'locality', parent: 'muscat', lat: 23.5960, lon: 58.4300, aliases: ['khuwair'] },
+    amerat: { name: 'Al Amerat', kind: 'locality', parent: 'muscat', lat: 23.5220, lon: 58.4970, aliases: ['amerat'] },
+    quriyat: { name: 'Quriyat', kind: 'locality', parent: 'muscat', lat: 23.2600, lon: 58.9200, aliases: ['quriyat'] },
+
+    // ---------- Oman: Governorates (seat coordinates) ----------
+    dhofar: { name: 'Dhofar', kind: 'governorate', parent: 'oman', lat: 17.0194, lon: 54.0897, aliases: ['dhofar', 'salalah'] },
+    musandam: { name: 'Musandam', kind: 'governorate', parent: 'oman', lat: 26.1800, lon: 56.2500, aliases: ['musandam', 'khasab'] },
+    buraimi: { name: 'Al Buraimi', kind: 'governorate', parent: 'oman', lat: 24.2500, lon: 55.7930, aliases: ['buraimi'] },
+    dakhiliyah: { name: 'Ad Dakhiliyah', kind: 'governorate', parent: 'oman', lat: 22.9333, lon: 57.5333, aliases: ['dakhiliyah', 'nizwa'] },
+    'north batinah': { name: 'North Al Batinah', kind: 'governorate', parent: 'oman', lat: 24.3470, lon: 56.7090, aliases: ['north al batinah', 'north batinah', 'sohar'] },
+    'south batinah': { name: 'South Al Batinah', kind: 'governorate', parent: 'oman', lat: 23.6780, lon: 57.8800, aliases: ['south al batinah', 'south batinah', 'barka', 'rustaq'] },
+    'north sharqiyah': { name: 'North Ash Sharqiyah', kind: 'governorate', parent: 'oman', lat: 22.6833, lon: 58.5500, aliases: ['north ash sharqiyah', 'north sharqiyah', 'ibra'] },
+    'south sharqiyah': { name: 'South Ash Sharqiyah', kind: 'governorate', parent: 'oman', lat: 22.5667, lon: 59.5289, aliases: ['south ash sharqiyah', 'south sharqiyah'] },
+    dhahirah: { name: 'Ad Dhahirah', kind: 'governorate', parent: 'oman', lat: 23.2000, lon: 56.5000, aliases: ['dhahirah', 'ibri'] },
+    wusta: { name: 'Al Wusta', kind: 'governorate', parent: 'oman', lat: 19.6600, lon: 57.7000, aliases: ['al wusta', 'duqm'] }
 };
@@ -0,0 +1,169 @@
+/**
+ * Golden fixtures for the scoring regression harness (src/utils/testScoring.js).
+ *
+ * Each fixture is one parsed feed (entries shaped like parseFeed output) run
+ * through normalizeItem → rankAndFilter. `ageHours` is turned into a pubDate
+ * relative to the run, `key` into a stable link, so ids never change.
+ *
+ * expected.order    - keys in ranked order after rankAndFilter (limit applied)
+ * expected.sections - section classifySection / normalizeItem assigns
+ * expected.sources  - sourceCount for items that cluster several reports
+ *
+ * Regenerate after an intentional ranking change with printScoringGoldens()
+ * and paste the output over the `expected` blocks.
+ */
+
+export const SCORING_FIXTURES = [
+    {
+        name: 'world-dedupe-freshness',
+        section: 'world',
+        feedSource: 'BBC News - World',
+        limit: 5,
+        items: [
+            {
+                key: 'quake-bbc', ageHours: 1,
+                title: 'Magnitude 7.2 earthquake strikes off Japan coast, tsunami warning issued',
+                description: 'Residents along the Pacific coast were told to move to higher ground after the powerful earthquake.',
+                enclosure: { url: 'https://images.fixtures.local/quake.jpg' }
+            },
+            {
+                key: 'quake-reuters', ageHours: 1.5, source: 'Reuters',
+                title: 'Magnitude 7.2 earthquake strikes off Japan coast; tsunami warning issued',
+                description: 'Japan issued a tsunami warning after a strong earthquake struck off its Pacific coast.'
+            },
+            {
+                key: 'gaza-aljazeera', ageHours: 3, source: 'Al Jazeera',
+                title: 'UN Security Council meets on Gaza ceasefire resolution',
+                description: 'Diplomats say a vote on the draft resolution could come later this week.'
+            },
+            {
+                key: 'oil-reuters', ageHours: 5, source: 'Reuters',
+                title: 'Global markets slide as oil prices jump on supply fears',
+                description: 'Brent crude rose more than 4% while stocks in Europe and Asia fell.'
+            },
+            {
+                key: 'frog-bbc', ageHours: 20,
+                title: 'Scientists discover new species of frog in the Amazon',
+                description: 'The tiny frog was found during a survey of a remote part of the rainforest.'
+            },
+            {
+                key: 'summit-stale', ageHours: 80,
+                title: 'Leaders wrap up climate summit with pledge on emissions',
+                description: 'The summit ended with a non-binding declaration.'
+            }
+        ],
+        expected: {
+            order: ['quake-bbc', 'oil-reuters', 'gaza-aljazeera', 'frog-bbc'],
+            sections: {
+                'quake-bbc': 'world',
+                'quake-reuters': 'world',
+                'gaza-aljazeera': 'world',
+                'oil-reuters': 'business',
+                'frog-bbc': 'world',
+                'summit-stale': 'world'
+            },
+            sources: { 'quake-bbc': 2 }
+        }
+    },
+    {
+        name: 'chennai-proximity',
+        section: 'chennai',
+        feedSource: 'The Hindu - Chennai',
+        limit: 5,
+        settings: { enableProximityScoring: true, homeLocation: 'adyar' },
+        items: [
+            {
+                key: 'velachery-flood', ageHours: 4,
+                title: 'Waterlogging in Velachery after overnight rain, residents stranded',
+                description: 'Several streets in Velachery remained under water as the Greater Chennai Corporation pressed pumps into service.'
+            },
+            {
+                key: 'metro-phase2', ageHours: 2,
+                title: 'Chennai Metro Rail phase 2 trial run on Poonamallee stretch',
+                description: 'CMRL officials said the first trial run on the corridor went smoothly.'
+            },
+            {
+                key: 'madurai-temple', ageHours: 2,
+                title: 'Madurai temple festival draws large crowds',
+                description: 'Thousands of devotees gathered for the annual festival.'
+            },
+            {
+                key: 'coimbatore-it', ageHours: 2,
+                title: 'Coimbatore gets new IT park',
+                description: 'The park is expected to create several thousand jobs.'
+            },
+            {
+                key: 'tn-budget', ageHours: 6,
+                title: 'Tamil Nadu budget focuses on welfare schemes',
+                description: 'The Finance Minister presented the budget in the Assembly.'
+            }
+        ],
+        expected: {
+            order: ['metro-phase2', 'velachery-flood', 'madurai-temple', 'tn-budget', 'coimbatore-it'],
+            sections: {
+                'velachery-flood': 'chennai',
+                'metro-phase2': 'chennai',
+                'madurai-temple': 'chennai',
+                'coimbatore-it': 'chennai',
+                'tn-budget': 'chennai'
+            },
+            sources: {}
+        }
+    },
+    {
+        name: 'business-source-cap',
+        section: 'business',
+        feedSource: 'Moneycontrol Top News',
+        limit: 5,
+        items: [
+            {
+                key: 'mc-sensex', ageHours: 1,
+                title: 'Sensex jumps 800 points as banks rally',
+                description: 'Bank stocks led the gains on the BSE and NSE.'
+            },
+            {
+                key: 'mc-rupee', ageHours: 1.5,
+                title: 'Rupee strengthens against dollar on foreign inflows',
+                description: 'The rupee gained 20 paise in early trade.'
+            },
+            {
+                key: 'mc-ipo', ageHours: 2,
+                title: 'Tech startup IPO subscribed 40 times on final day',
+                description: 'Retail investors bid aggressively for the shares.'
+            },
+            {
+                key: 'mc-gold', ageHours: 2.5,
+                title: 'Gold prices hit record high amid global uncertainty',
+                description: 'Gold futures traded at a fresh peak on MCX.'
+            },
+            {
+                key: 'mc-results', ageHours: 3,
+                title: 'Infosys quarterly profit beats estimates',
+                description: 'The IT major reported revenue growth ahead of analyst expectations.'
+            },
+            {
+                key: 'fe-gst', ageHours: 4, source: 'Financial Express',
+                title: 'GST collections rise 12% in September',
+                description: 'Revenue from the goods and services tax grew on higher consumption.'
+            },
+            {
+                key: 'reuters-fed', ageHours: 5, source: 'Reuters',
+                title: 'Fed holds rates steady, signals cuts later in the year',
+                description: 'The US central bank kept its benchmark rate unchanged.'
+            }
+        ],
+        expected: {
+            order: ['reuters-fed', 'mc-gold', 'mc-sensex', 'mc-ipo', 'fe-gst'],
+            sections: {
+                'mc-sensex': 'business',
+                'mc-rupee': 'business',
+                'mc-ipo': 'business',
+                'mc-gold': 'business',
+                'mc-results': 'business',
+                'fe-gst': 'business',
+                'reuters-fed': 'business'
+            },
+            sources: {}
+        }
+    }
+];
@@ -3,11 +3,13 @@ import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
 import { registerSW } from './registerSW'
-import { runScoringTests } from './utils/testScoring.js';
+import { runScoringTests, runScoringRegression, printScoringGoldens } from './utils/testScoring.js';
 
 // Expose scoring test for manual verification
 if (typeof window !== 'undefined') {
     window.runScoringTests = runScoringTests;
+    window.runScoringRegression = runScoringRegression;
+    window.printScoringGoldens = printScoringGoldens;
 }
 
 registerSW();
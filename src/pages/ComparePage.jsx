@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import Header from '../components/Header';
+import { useSettings } from '../context/SettingsContext';
+import { getSectionList } from '../utils/sectionRegistry';
+import { compareRankings, getPositions } from '../services/rankingComparison';
+import './ComparePage.css';
+
+const BASELINE = 'legacy';
+const LIMIT = 15;
+
+/**
+ * Movement of a story relative to its position in the baseline column
+ */
+function describeMove(position, baselinePosition) {
+    if (baselinePosition === undefined) return { label: 'NEW', className: 'compare__move--new' };
+    const delta = baselinePosition - position;
+    if (delta > 0) return { label: `▲${delta}`, className: 'compare__move--up' };
+    if (delta < 0) return { label: `▼${-delta}`, className: 'compare__move--down' };
+    return { label: '=', className: 'compare__move--same' };
+}
+
+function formatAge(timestamp) {
+    const hours = (Date.now() - timestamp) / 3600000;
+    return hours < 1 ? `${Math.max(1, Math.round(hours * 60))}m` : `${Math.round(hours)}h`;
+}
+
+/**
+ * Compare Page
+ * The same stored items ranked by legacy, classic and smart scoring in
+ * parallel columns. Arrows show each story's move against the legacy
+ * (newest-first) order; tapping a story highlights it in every column.
+ */
+function ComparePage() {
+    const { settings } = useSettings();
+    const sections = getSectionList(settings).filter(section => section.enabled);
+
+    const [section, setSection] = useState(sections[0]?.key || 'world');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        compareRankings(section, LIMIT)
+            .then(comparison => {
+                if (!cancelled) setResult({ section, ...comparison });
+            })
+            .catch(err => {
+                console.error('[Compare] Ranking comparison failed:', err);
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => { cancelled = true; };
+    }, [section, settings]);
+
+    const handleSectionChange = (key) => {
+        setSection(key);
+        setResult(null);
+        setError(null);
+        setSelectedId(null);
+    };
+
+    const loading = !error && (!result || result.section !== section);
+    const baseline = result?.columns.find(column => column.key === BASELINE);
+    const baselinePositions = baseline ? getPositions(baseline.items) : new Map();
+
+    return (
+        <div className="page-container">
+            <Header title="Compare Rankings" icon="⚖️" showBack backTo="/settings" />
+
+            <main className="main-content compare">
+                <div className="compare__controls">
+                    <select
+                        value={section}
+                        onChange={(e) => handleSectionChange(e.target.value)}
+                        className="compare__select"
+                    >
+                        {sections.map(s => (
+                            <option key={s.key} value={s.key}>{s.icon} {s.label}</option>
+                        ))}
+                    </select>
+                    {result && !loading && (
+                        <span className="compare__meta">
+                            {result.total} stored stories · top {LIMIT} per column
+                        </span>
+                    )}
+                </div>
+
+                {error && <div className="empty-state"><p>{error}</p></div>}
+
+                {loading && (
+                    <div className="loading" style={{ padding: '40px' }}>
+                        <div className="loading__spinner"></div>
+                    </div>
+                )}
+
+                {!loading && result && result.total === 0 && (
+                    <div className="empty-state">
+                        <div className="empty-state__icon">📭</div>
+                        <p>No stored stories for this section yet. Refresh first.</p>
+                    </div>
+                )}
+
+                {!loading && result && result.total > 0 && (
+                    <div className="compare__columns">
+                        {result.columns.map(column => (
+                            <section key={column.key} className="compare__column">
+                                <h2 className="compare__column-title">{column.label}</h2>
+                                <p className="compare__column-desc">{column.description}</p>
+                                <ol className="compare__list">
+                                    {column.items.map((item, index) => {
+                                        const move = column.key === BASELINE
+                                            ? null
+                                            : describeMove(index, baselinePositions.get(item.id));
+                                        return (
+                                            <li
+                                                key={item.id}
+                                                className={`compare__item ${selectedId === item.id ? 'compare__item--selected' : ''}`}
+                                                onClick={() => setSelectedId(selectedId === item.id ? null : item.id)}
+                                            >
+                                                <span className="compare__rank">{index + 1}</span>
+                                                <div className="compare__body">
+                                                    <span className="compare__headline">{item.headline || item.title}</span>
+                                                    <span className="compare__item-meta">
+                                                        {item.source} · {formatAge(item.publishedAt)}
+                                                        {column.key !== BASELINE && ` · ${item.impactScore?.toFixed(1)}`}
+                                                    </span>
+                                                </div>
+                                                {move && (
+                                                    <span className={`compare__move ${move.className}`}>{move.label}</span>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
+                                </ol>
+                            </section>
+                        ))}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
+
+export default ComparePage;
@@ -17,6 +17,7 @@ import { useSettings } from '../context/SettingsContext';
 import { useSegment } from '../context/SegmentContext';
 import { requestNotificationPermission } from '../utils/notifications';
 import { useMediaQuery } from '../hooks/useMediaQuery';
+import { getSectionList } from '../utils/sectionRegistry';
 
 // DEBUG LOGGING SYSTEM
 const logs = [];
@@ -57,7 +58,7 @@ const MainPage = () => {
     const { weatherData, loading: weatherLoading, refreshWeather } = useWeather();
     const { newsData, loading, errors, breakingNews, refreshNews } = useNews();
 
-    const { sections, uiMode = 'timeline' } = settings;
+    const { uiMode = 'timeline' } = settings;
 
     // --- LOGIC: Sync Segment with Data Refresh & UI ---
     useEffect(() => {
@@ -204,12 +205,16 @@ const MainPage = () => {
     const isNewspaperMode = uiMode === 'newspaper';
     const isUrgentMode = currentSegment.id === 'urgent_only';
 
+    // Main-page sections (built-in + user-defined) in the user's order
+    const mainSections = getSectionList(settings)
+        .filter(section => section.page === 'main' && section.enabled);
+
     // Navigation Sections
-    const navSections = [
-        { id: 'world-news', icon: '🌍', label: 'World' },
-        sections.india?.enabled && { id: 'india-news', icon: '🇮🇳', label: 'India' },
-        sections.local?.enabled && { id: 'local-news', icon: '📍', label: 'Muscat' }
-    ].filter(Boolean);
+    const navSections = mainSections.map(section => ({
+        id: `${section.key}-news`,
+        icon: section.icon,
+        label: section.label
+    }));
 
     const headerActions = (
         <div className="header__actions">
@@ -299,63 +304,21 @@ const MainPage = () => {
                             {/* Urgent Mode: Only show Breaking/World/India */}
                             {(!isUrgentMode || breakingNews.length === 0) && (
                                 <>
-                                    <NewsSection
-                                        id="world-news"
-                                        title="Global Updates"
-                                        icon="🌍"
-                                        colorClass="news-section__title--world"
-                                        news={newsData.world}
-                                        maxDisplay={sections.world?.count || 5}
-                                    />
-
-                                    {sections.india?.enabled && (
-                                        <NewsSection
-                                            id="india-news"
-                                            title={isTimelineMode ? "India" : "India News"}
-                                            icon="🇮🇳"
-                                            colorClass="news-section__title--india"
-                                            news={newsData.india}
-                                            maxDisplay={sections.india.count || 5}
-                                            error={errors.india}
-                                        />
-                                    )}
-
-                                    {sections.chennai?.enabled && (
+                                    {mainSections.map(section => (
                                         <NewsSection
-                                            id="chennai-news"
-                                            title="Tamil Nadu"
-                                            icon="🏛️"
-                                            colorClass="news-section__title--chennai"
-                                            news={newsData.chennai}
-                                            maxDisplay={sections.chennai.count || 5}
-                                            error={errors.chennai}
+                                            key={section.key}
+                                            id={`${section.key}-news`}
+                                            title={isTimelineMode && section.timelineTitle && !section.renamed
+                                                ? section.timelineTitle
+                                                : section.title}
+                                            icon={section.icon}
+                                            colorClass={section.colorClass}
+                                            news={newsData[section.key]}
+                                            maxDisplay={section.count || 5}
+                                            error={errors[section.key]}
+                                            allowMove
                                         />
-                                    )}
-
-                                    {sections.trichy?.enabled && (
-                                        <NewsSection
-                                            id="trichy-news"
-                                            title="Trichy"
-                                            icon="🏛️"
-                                            colorClass="news-section__title--trichy"
-                                            news={newsData.trichy}
-                                            maxDisplay={sections.trichy.count || 5}
-                                            error={errors.trichy}
-                                        />
-                                    )}
-
-                                    {sections.local?.enabled && (
-                                        <NewsSection
-                                            id="local-news"
-                                            title="Local — Muscat"
-                                            icon="📍"
-                                            colorClass="news-section__title--local"
-                                            news={newsData.local}
-                                            maxDisplay={sections.local.count || 5}
-                                            error={errors.local}
-                                        />
-                                    )}
-
+                                    ))}
                                 </>
                             )}
 
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import Header from '../components/Header';
+import Toggle from '../components/Toggle';
+import { useSettings } from '../context/SettingsContext';
+import {
+    NOTIFICATION_CATEGORIES,
+    getNotificationHistory,
+    subscribeNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    clearNotificationHistory,
+    openNotificationLink,
+    requestNotificationPermission
+} from '../utils/notifications';
+import './NotificationsPage.css';
+
+const HELD_BACK_LABELS = {
+    snoozed: 'held: snoozed',
+    muted: 'held: muted',
+    'quiet-hours': 'held: quiet hours',
+    'no-permission': 'not shown: notifications blocked'
+};
+
+const timeStyle = {
+    padding: '6px',
+    borderRadius: '4px',
+    background: 'var(--bg-secondary)',
+    color: 'var(--text-primary)',
+    border: '1px solid var(--border-default)'
+};
+
+const hintStyle = { color: 'var(--text-muted)', fontSize: '0.65rem' };
+
+function snoozeRemaining(until) {
+    return until ? until - Date.now() : 0;
+}
+
+/**
+ * Next occurrence of 07:00 local time
+ */
+function nextMorning() {
+    const date = new Date();
+    if (date.getHours() >= 7) date.setDate(date.getDate() + 1);
+    date.setHours(7, 0, 0, 0);
+    return date.getTime();
+}
+
+function formatSentAt(timestamp) {
+    return new Date(timestamp).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function getPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Notifications Page
+ * Inbox of every notification the app sent (or held back), with deep
+ * links, plus quiet hours, snooze and per-category mute.
+ */
+function NotificationsPage() {
+    const { settings, updateSettings } = useSettings();
+    const [history, setHistory] = useState(getNotificationHistory);
+    const [permission, setPermission] = useState(getPermission);
+
+    useEffect(() => subscribeNotifications(() => setHistory(getNotificationHistory())), []);
+
+    const prefs = settings.notifications || {};
+    const muted = prefs.muted || [];
+    const quietHours = prefs.quietHours || {};
+    const snoozeLeft = snoozeRemaining(prefs.snoozeUntil);
+
+    const setPrefs = (patch) => updateSettings({ ...settings, notifications: { ...prefs, ...patch } });
+    const setQuietHours = (patch) => setPrefs({ quietHours: { ...quietHours, ...patch } });
+    const toggleMute = (category, isMuted) => setPrefs({
+        muted: isMuted ? [...muted, category] : muted.filter(key => key !== category)
+    });
+    const snoozeFor = (ms) => setPrefs({ snoozeUntil: Date.now() + ms });
+
+    const handleOpen = (record) => {
+        if (!record.read) markNotificationRead(record.id);
+        openNotificationLink(record.link);
+    };
+
+    const handleClear = () => {
+        if (window.confirm('Delete all notification history?')) clearNotificationHistory();
+    };
+
+    const handleRequestPermission = async () => {
+        await requestNotificationPermission();
+        setPermission(getPermission());
+    };
+
+    const unread = history.filter(record => !record.read).length;
+
+    return (
+        <div className="page-container">
+            <Header title="Notifications" icon="🔔" showBack backTo="/" />
+
+            <main className="main-content notifications">
+                <section className="settings-section notifications__prefs">
+                    <div className="settings-card">
+                        {permission !== 'granted' && (
+                            <div className="settings-item">
+                                <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                                    <span>System notifications are {permission === 'unsupported' ? 'not supported' : 'off'}</span>
+                                    <small style={hintStyle}>Alerts are still collected below</small>
+                                </span>
+                                {permission === 'default' && (
+                                    <button className="btn btn--secondary" onClick={handleRequestPermission}>Allow</button>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '8px' }}>
+                            <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                                <span>Snooze</span>
+                                <small style={hintStyle}>
+                                    {snoozeLeft > 0
+                                        ? `Snoozed until ${new Date(prefs.snoozeUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                                        : 'Pause every notification for a while'}
+                                </small>
+                            </span>
+                            <div className="notifications__snooze">
+                                <button className="btn btn--secondary" onClick={() => snoozeFor(60 * 60 * 1000)}>1 hour</button>
+                                <button className="btn btn--secondary" onClick={() => snoozeFor(4 * 60 * 60 * 1000)}>4 hours</button>
+                                <button className="btn btn--secondary" onClick={() => setPrefs({ snoozeUntil: nextMorning() })}>Until 7 AM</button>
+                                {snoozeLeft > 0 && (
+                                    <button className="btn btn--secondary" onClick={() => setPrefs({ snoozeUntil: null })}>Resume</button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="settings-item">
+                            <span className="settings-item__label" style={{ flexDirection: 'column', alignItems: 'flex-start' }}>
+                                <span>Quiet hours</span>
+                                <small style={hintStyle}>Every day, for all notifications</small>
+                            </span>
+                            <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                                <input
+                                    type="time"
+                                    value={quietHours.start || '22:00'}
+                                    onChange={(e) => setQuietHours({ start: e.target.value })}
+                                    disabled={!quietHours.enabled}
+                                    style={timeStyle}
+                                />
+                                <span>–</span>
+                                <input
+                                    type="time"
+                                    value={quietHours.end || '07:00'}
+                                    onChange={(e) => setQuietHours({ end: e.target.value })}
+                                    disabled={!quietHours.enabled}
+                                    style={timeStyle}
+                                />
+                                <Toggle checked={quietHours.enabled === true} onChange={(val) => setQuietHours({ enabled: val })} />
+                            </div>
+                        </div>
+
+                        {Object.entries(NOTIFICATION_CATEGORIES).map(([key, category]) => (
+                            <div key={key} className="settings-item">
+                                <span className="settings-item__label">{category.icon} {category.label}</span>
+                                <Toggle
+                                    checked={!muted.includes(key)}
+                                    onChange={(val) => toggleMute(key, !val)}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </section>
+
+                <div className="notifications__toolbar">
+                    <h2 className="notifications__heading">Inbox {unread > 0 && `(${unread} unread)`}</h2>
+                    {unread > 0 && (
+                        <button className="btn btn--secondary" onClick={markAllNotificationsRead}>Mark all read</button>
+                    )}
+                    {history.length > 0 && (
+                        <button className="btn btn--secondary" onClick={handleClear}>Clear</button>
+                    )}
+                </div>
+
+                {history.length === 0 ? (
+                    <div className="empty-state">
+                        <div className="empty-state__icon">📭</div>
+                        <p>No notifications yet</p>
+                    </div>
+                ) : (
+                    <ul className="notifications__list">
+                        {history.map(record => (
+                            <li
+                                key={record.id}
+                                className={[
+                                    'notifications__item',
+                                    record.read ? '' : 'notifications__item--unread',
+                                    record.heldBack ? 'notifications__item--held' : ''
+                                ].join(' ')}
+                                onClick={() => handleOpen(record)}
+                            >
+                                <span className="notifications__icon">
+                                    {NOTIFICATION_CATEGORIES[record.category]?.icon || '🔔'}
+                                </span>
+                                <div className="notifications__body">
+                                    <span className="notifications__title">{record.title}</span>
+                                    {record.body && <span className="notifications__text">{record.body}</span>}
+                                    <span className="notifications__meta">
+                                        {formatSentAt(record.sentAt)}
+                                        {record.heldBack && ` · ${HELD_BACK_LABELS[record.heldBack]}`}
+                                        {record.link && ' · tap to open'}
+                                    </span>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </main>
+        </div>
+    );
+}
+
+export default NotificationsPage;
@@ -2,10 +2,13 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
 import Toggle from '../components/Toggle';
+import FeedHealthPanel from '../components/FeedHealthPanel';
 import { getTimeSinceRefresh, setLastRefresh } from '../utils/storage';
 import { getCurrentSegment, getRecommendedToggles } from '../utils/timeSegment';
 import { useWeather } from '../context/WeatherContext';
 import { useNews } from '../context/NewsContext';
+import { useSettings } from '../context/SettingsContext';
+import { getSectionList } from '../utils/sectionRegistry';
 
 /**
  * Refresh Page Component
@@ -14,6 +17,7 @@ import { useNews } from '../context/NewsContext';
  * - See last refresh time
  * - Trigger refresh
  * - View refresh schedule
+ * - Inspect per-feed health and disable failing feeds
  */
 function RefreshPage() {
     const navigate = useNavigate();
@@ -24,6 +28,12 @@ function RefreshPage() {
 
     const { refreshWeather } = useWeather();
     const { refreshNews } = useNews();
+    const { settings } = useSettings();
+
+    // Enabled user-defined sections can be refreshed individually too
+    const userSectionConfig = getSectionList(settings)
+        .filter(section => section.custom && section.enabled)
+        .map(section => ({ key: section.key, icon: section.icon, label: section.label, desc: 'Custom section' }));
 
     const handleRefresh = async () => {
         setLoading(true);
@@ -72,6 +82,7 @@ function RefreshPage() {
             trichy: value,
             local: value,
             social: value,
+            ...Object.fromEntries(userSectionConfig.map(({ key }) => [key, value])),
             weather: value,
             market: value
         });
@@ -84,6 +95,7 @@ function RefreshPage() {
         { key: 'trichy', icon: '🏛️', label: 'Trichy News', desc: 'Trichy local news' },
         { key: 'local', icon: '📍', label: 'Local (Muscat)', desc: 'Muscat & Oman news' },
         { key: 'social', icon: '👥', label: 'Social Trends', desc: 'Trending topics' },
+        ...userSectionConfig,
         { key: 'weather', icon: '☁️', label: 'Weather', desc: 'Chennai, Trichy, Muscat' },
         { key: 'market', icon: '📈', label: 'Market', desc: 'BSE, NSE, Movers' }
     ];
@@ -154,7 +166,7 @@ function RefreshPage() {
                                     </div>
                                 </div>
                                 <Toggle
-                                    checked={refreshToggles[key]}
+                                    checked={!!refreshToggles[key]}
                                     onChange={(val) => setRefreshToggles(prev => ({ ...prev, [key]: val }))}
                                     recommended={recommended[key]}
                                 />
@@ -201,6 +213,11 @@ function RefreshPage() {
                     </div>
                 </div>
 
+                {/* Per-Feed Health */}
+                <div style={{ marginTop: 'var(--spacing-md)' }}>
+                    <FeedHealthPanel />
+                </div>
+
                 {/* Segment Info */}
                 <div className="card" style={{ marginTop: 'var(--spacing-md)', textAlign: 'center' }}>
                     <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
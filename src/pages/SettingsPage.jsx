@@ -1,17 +1,30 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import Header from '../components/Header';
 import Toggle from '../components/Toggle';
 import { DEFAULT_SETTINGS } from '../utils/storage';
 import { useSettings } from '../context/SettingsContext';
+import { useNews } from '../context/NewsContext';
+import { clearNewsCache } from '../services/rssAggregator';
+import { clearStoryTracker } from '../services/storyTracker';
 import { discoverFeeds } from '../utils/feedDiscovery';
+import { getProxies, resetProxyHealth } from '../services/proxyRegistry';
+import { getSectionList, addUserSection } from '../utils/sectionRegistry';
+import SectionEditor from '../components/SectionEditor';
+import ScoringWeightsPanel from '../components/ScoringWeightsPanel';
+import PersonalizationPanel from '../components/PersonalizationPanel';
+import ProximityPanel from '../components/ProximityPanel';
+import AlertRulesPanel from '../components/AlertRulesPanel';
+import NoveltyDebugPanel from '../components/NoveltyDebugPanel';
+import { parseOpml, importOpmlFeeds, buildOpml } from '../utils/opml';
 
 /**
  * Settings Page Component - REDESIGNED
  * Organized sections that match actual functionality:
  * 1. Interface (UI Mode)
- * 2. Data Freshness
+ * 2. Data Freshness (+ Ranking Weights)
  * 3. Weather Models (ECMWF, GFS, ICON)
- * 4. News Sections
+ * 4. News Sections (create, rename, reorder, keywords)
  * 5. News Sources
  * 6. Market Display
  * 7. Social Trends Distribution
@@ -20,13 +33,19 @@ import { discoverFeeds } from '../utils/feedDiscovery';
  */
 function SettingsPage() {
     const { settings, updateSettings, reloadSettings } = useSettings();
+    const { refreshNews } = useNews();
     const [saved, setSaved] = useState(false);
     const [showAdvanced, setShowAdvanced] = useState(false);
 
     // Feed Discovery State
     const [newFeedUrl, setNewFeedUrl] = useState('');
+    const [newFeedSection, setNewFeedSection] = useState('world');
     const [isDiscovering, setIsDiscovering] = useState(false);
     const [discoveryError, setDiscoveryError] = useState(null);
+    const [opmlStatus, setOpmlStatus] = useState(null);
+
+    // Proxy health is read from storage on render; bump to re-read after a reset
+    const [, setProxyHealthVersion] = useState(0);
 
     if (!settings) {
         return (
@@ -65,6 +84,14 @@ function SettingsPage() {
         }
     };
 
+    const handleClearNews = async () => {
+        if (confirm('Delete cached articles and story timelines?')) {
+            await clearNewsCache();
+            clearStoryTracker();
+            refreshNews();
+        }
+    };
+
     const handleAddFeed = async () => {
         if (!newFeedUrl) return;
         setIsDiscovering(true);
@@ -76,7 +103,10 @@ function SettingsPage() {
                 const bestFeed = feeds[0];
                 updateSettings({
                     ...settings,
-                    customFeeds: [...(settings.customFeeds || []), { title: bestFeed.title, url: bestFeed.url }]
+                    customFeeds: [
+                        ...(settings.customFeeds || []),
+                        { title: bestFeed.title, url: bestFeed.url, section: newFeedSection }
+                    ]
                 });
                 setNewFeedUrl('');
             } else {
@@ -95,18 +125,62 @@ function SettingsPage() {
         updateSettings({ ...settings, customFeeds: newFeeds });
     };
 
-    // Section configs
-    const sectionConfig = [
-        { key: 'world', icon: '🌍', label: 'World News' },
-        { key: 'india', icon: '🇮🇳', label: 'India News' },
-        { key: 'chennai', icon: '🏛️', label: 'Chennai' },
-        { key: 'trichy', icon: '🏛️', label: 'Trichy' },
-        { key: 'local', icon: '📍', label: 'Muscat' },
-        { key: 'social', icon: '👥', label: 'Social' },
-        { key: 'entertainment', icon: '🎬', label: 'Entertainment' },
-        { key: 'business', icon: '💼', label: 'Business' },
-        { key: 'technology', icon: '💻', label: 'Technology' }
-    ];
+    const assignCustomFeed = (index, section) => (base) => {
+        const newFeeds = [...(base.customFeeds || [])];
+        newFeeds[index] = { ...newFeeds[index], section };
+        return { ...base, customFeeds: newFeeds };
+    };
+
+    /**
+     * Picks a section for a custom feed; '__new__' creates one first.
+     * `apply(key)` returns a settings transform so section creation and
+     * feed assignment land in a single update.
+     */
+    const handleSectionPick = (value, apply) => {
+        let key = value;
+        let base = settings;
+
+        if (value === '__new__') {
+            const label = window.prompt('Name for the new section')?.trim();
+            if (!label) return;
+            ({ key, settings: base } = addUserSection(settings, label));
+        }
+
+        const next = apply(key)(base);
+        if (next !== settings) updateSettings(next);
+    };
+
+    const handleOpmlImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        try {
+            const feeds = parseOpml(await file.text());
+            const result = importOpmlFeeds(settings, feeds, newFeedSection);
+            updateSettings(result.settings);
+
+            const created = result.createdSections.length > 0
+                ? `, created ${result.createdSections.join(', ')}`
+                : '';
+            setOpmlStatus({ ok: true, message: `Imported ${result.added} feeds (${result.skipped} already present${created})` });
+        } catch (err) {
+            setOpmlStatus({ ok: false, message: `Import failed: ${err.message}` });
+        }
+    };
+
+    const handleOpmlExport = () => {
+        const blob = new Blob([buildOpml(settings)], { type: 'text/x-opml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `feeds-${new Date().toISOString().slice(0, 10)}.opml`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // Built-in + user-defined sections, in the user's order
+    const allSectionConfig = getSectionList(settings);
 
     const newsSourceConfig = [
         { key: 'bbc', label: 'BBC' },
@@ -248,6 +322,15 @@ function SettingsPage() {
                             </select>
                         </div>
 
+                        <div className="settings-item">
+                            <span className="settings-item__label" style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                                See how each method orders the same stories
+                            </span>
+                            <Link to="/compare" className="btn btn--secondary" style={{ padding: '4px 10px', fontSize: '0.75rem', minHeight: 'auto' }}>
+                                Compare ⚖️
+                            </Link>
+                        </div>
+
                         <div className="settings-item">
                             <span className="settings-item__label">Hide stories older than (hours)</span>
                             <input
@@ -270,6 +353,14 @@ function SettingsPage() {
                     </div>
                 </section>
 
+                <ScoringWeightsPanel />
+
+                <PersonalizationPanel />
+
+                <ProximityPanel />
+
+                <AlertRulesPanel />
+
                 {/* ========================================
                     SECTION 3: WEATHER MODELS
                     ======================================== */}
@@ -327,40 +418,7 @@ function SettingsPage() {
                     <h2 className="settings-section__title">
                         <span>📰</span> News Sections
                     </h2>
-                    <div className="settings-card">
-                        {sectionConfig.map(({ key, icon, label }) => {
-                            // Default defaults: Social=25, Others=5
-                            const defaultCount = key === 'social' ? 25 : 5;
-                            // Use nullish coalescing to allow 0, but fallback to default if undefined
-                            const currentCount = settings.sections?.[key]?.count ?? defaultCount;
-
-                            return (
-                                <div key={key} className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
-                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                        <div className="settings-item__label">
-                                            <span>{icon}</span> {label}
-                                        </div>
-                                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                                            <span style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{currentCount}</span>
-                                            <Toggle
-                                                checked={settings.sections?.[key]?.enabled !== false}
-                                                onChange={(val) => updateNested(`sections.${key}.enabled`, val)}
-                                            />
-                                        </div>
-                                    </div>
-                                    <input
-                                        type="range"
-                                        min="0"
-                                        max="25"
-                                        step="1"
-                                        value={currentCount}
-                                        onChange={(e) => updateNested(`sections.${key}.count`, parseInt(e.target.value))}
-                                        style={{ width: '100%' }}
-                                    />
-                                </div>
-                            );
-                        })}
-                    </div>
+                    <SectionEditor />
                 </section>
 
                 {/* ========================================
@@ -422,6 +480,19 @@ function SettingsPage() {
                                     placeholder="Enter RSS feed URL or website"
                                     style={{ flex: 1 }}
                                 />
+                                <select
+                                    value={newFeedSection}
+                                    onChange={(e) => handleSectionPick(e.target.value, (key) => (base) => {
+                                        setNewFeedSection(key);
+                                        return base;
+                                    })}
+                                    style={{ padding: '6px', borderRadius: '4px', background: 'var(--bg-secondary)', color: 'var(--text-primary)', border: '1px solid var(--border-default)', maxWidth: '40%' }}
+                                >
+                                    {allSectionConfig.map(({ key, icon, label }) => (
+                                        <option key={key} value={key}>{icon} {label}</option>
+                                    ))}
+                                    <option value="__new__">➕ New section…</option>
+                                </select>
                                 <button
                                     className="api-btn api-btn--test"
                                     onClick={handleAddFeed}
@@ -438,9 +509,19 @@ function SettingsPage() {
                             {/* List of Custom Feeds */}
                             {settings.customFeeds?.map((feed, i) => (
                                 <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '4px' }}>
-                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', flex: 1, minWidth: 0, wordBreak: 'break-word' }}>
                                         {feed.title || feed.url}
                                     </span>
+                                    <select
+                                        value={feed.section || 'world'}
+                                        onChange={(e) => handleSectionPick(e.target.value, (section) => assignCustomFeed(i, section))}
+                                        style={{ padding: '2px 4px', fontSize: '0.7rem', borderRadius: '4px', background: 'var(--bg-secondary)', color: 'var(--text-primary)', border: '1px solid var(--border-default)', margin: '0 6px' }}
+                                    >
+                                        {allSectionConfig.map(({ key, label }) => (
+                                            <option key={key} value={key}>{label}</option>
+                                        ))}
+                                        <option value="__new__">➕ New section…</option>
+                                    </select>
                                     <button
                                         className="btn btn--danger"
                                         style={{ padding: '2px 8px', fontSize: '0.65rem', minHeight: 'auto' }}
@@ -450,6 +531,27 @@ function SettingsPage() {
                                     </button>
                                 </div>
                             ))}
+
+                            {/* OPML Import / Export */}
+                            <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                                <label className="btn btn--secondary" style={{ flex: 1, textAlign: 'center', cursor: 'pointer' }}>
+                                    📥 Import OPML
+                                    <input
+                                        type="file"
+                                        accept=".opml,.xml,text/x-opml,text/xml"
+                                        onChange={handleOpmlImport}
+                                        style={{ display: 'none' }}
+                                    />
+                                </label>
+                                <button className="btn btn--secondary" style={{ flex: 1 }} onClick={handleOpmlExport}>
+                                    📤 Export OPML
+                                </button>
+                            </div>
+                            {opmlStatus && (
+                                <div style={{ color: opmlStatus.ok ? 'var(--text-muted)' : 'var(--accent-danger)', fontSize: '0.75rem' }}>
+                                    {opmlStatus.message}
+                                </div>
+                            )}
                         </div>
                     </div>
                 </section>
@@ -662,6 +764,55 @@ function SettingsPage() {
                                     onChange={(val) => updateSettings({ ...settings, debugLogs: val })}
                                 />
                             </div>
+                            {settings.debugLogs === true && <NoveltyDebugPanel />}
+
+                            {/* CORS Proxy Rotation */}
+                            <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '8px' }}>
+                                <div className="settings-item__label">
+                                    <span>🛰️ Self-hosted Proxy</span>
+                                    <small style={{ display: 'block', color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                                        Tried before public proxies. Use {'{url}'} as a placeholder, or a prefix the URL is appended to.
+                                    </small>
+                                </div>
+                                <input
+                                    type="text"
+                                    className="api-input"
+                                    value={settings.proxy?.customUrl || ''}
+                                    onChange={(e) => updateNested('proxy.customUrl', e.target.value)}
+                                    placeholder="https://my-proxy.example.com/?url={url}"
+                                />
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Timeout per proxy (seconds)</span>
+                                    <input
+                                        type="number"
+                                        className="settings-item__count"
+                                        min={2}
+                                        max={30}
+                                        value={Math.round((settings.proxy?.timeoutMs || 8000) / 1000)}
+                                        onChange={(e) => updateNested('proxy.timeoutMs', (parseInt(e.target.value) || 8) * 1000)}
+                                    />
+                                </div>
+                                {getProxies().map(proxy => (
+                                    <div key={proxy.id} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', color: proxy.coolingDown ? 'var(--accent-danger)' : 'var(--text-secondary)' }}>
+                                        <span>{proxy.name}{proxy.coolingDown ? ' (paused)' : ''}</span>
+                                        <span title={proxy.lastError || ''}>
+                                            {proxy.calls > 0
+                                                ? `${Math.round(proxy.successRate * 100)}% ok · ${proxy.avgLatency ?? '–'}ms · ${proxy.calls} calls`
+                                                : 'untested'}
+                                        </span>
+                                    </div>
+                                ))}
+                                <button
+                                    className="btn btn--secondary"
+                                    style={{ padding: '4px 8px', fontSize: '0.7rem', minHeight: 'auto' }}
+                                    onClick={() => {
+                                        resetProxyHealth();
+                                        setProxyHealthVersion(v => v + 1);
+                                    }}
+                                >
+                                    Reset Proxy Stats
+                                </button>
+                            </div>
                         </div>
                     )}
                 </section>
@@ -676,6 +827,9 @@ function SettingsPage() {
                     <button className="btn btn--danger btn--full" onClick={handleReset}>
                         Reset to Defaults
                     </button>
+                    <button className="btn btn--secondary btn--full" onClick={handleClearNews}>
+                        Clear Cached News
+                    </button>
                 </div>
             </div>
         </>
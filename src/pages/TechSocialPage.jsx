@@ -350,6 +350,7 @@ function TechSocialPage() {
                     news={filterOldNews(newsData.technology)}
                     maxDisplay={settings.sections?.technology?.count || 5} // Dynamic
                     showCritics={false}
+                    allowMove
                 />
 
                 {/* AI & Innovation */}
@@ -1,3 +1,5 @@
+import { openNotificationLink } from './utils/notifications';
+
 export function registerSW() {
     if ('serviceWorker' in navigator) {
         window.addEventListener('load', () => {
@@ -12,5 +14,12 @@ export function registerSW() {
                     console.log('SW registration failed: ', registrationError);
                 });
         });
+
+        // Notification clicked while the app is open: follow its deep link
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'NOTIFICATION_CLICK') {
+                openNotificationLink(event.data.link);
+            }
+        });
     }
 }
@@ -0,0 +1,245 @@
+/**
+ * Alert Engine
+ * Evaluates the user's alert rules (settings.alerts.rules) after each news
+ * and market refresh and delivers matches through sendNotification.
+ *
+ * Each rule has its own cooldown and a story only ever alerts once per rule.
+ * Rules aren't evaluated while their notifications would be held back
+ * (snooze, mute, quiet hours), so matches that are still current alert
+ * once delivery resumes.
+ */
+
+import { getSettings } from '../utils/storage';
+import { sendNotification, getSuppressionReason } from '../utils/notifications';
+import { BREAKING_TIERS } from '../utils/breakingNewsDetector';
+import { containsWord } from '../utils/wordMatch';
+
+const STATE_KEY = 'dailyEventAI_alertState';
+const MAX_NOTIFIED_PER_RULE = 200;
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {'story'|'market'} type
+ * @property {number} cooldownMinutes - Minimum gap between two alerts from this rule
+ *
+ * Story rules (all set conditions must hold):
+ * @property {string[]} [keywords] - Every keyword must appear as a whole word in the headline or summary
+ * @property {string|null} [section]
+ * @property {number} [minSources] - Outlets reporting the story (clustered sourceCount)
+ * @property {'developing'|'breaking'|'major'|null} [minTier] - Breaking-news tier at least this severe
+ *
+ * Market rules:
+ * @property {string} [index] - Index name as shown on the Markets page, e.g. 'SENSEX'
+ * @property {'up'|'down'} [direction]
+ * @property {number} [thresholdPercent] - Day change beyond which the rule fires
+ */
+
+/**
+ * Starting points offered in Settings → Alerts
+ * @type {Array<Omit<AlertRule, 'id'|'enabled'>>}
+ */
+export const ALERT_TEMPLATES = [
+    { name: 'Chennai rain, 3+ sources', type: 'story', keywords: ['chennai', 'rain'], section: null, minSources: 3, minTier: null, cooldownMinutes: 180 },
+    { name: 'Sensex falls more than 2%', type: 'market', index: 'SENSEX', direction: 'down', thresholdPercent: 2, cooldownMinutes: 360 },
+    { name: 'Major breaking news', type: 'story', keywords: [], section: null, minSources: 0, minTier: 'major', cooldownMinutes: 30 }
+];
+
+/* ---------- State ---------- */
+
+function loadState() {
+    try {
+        const stored = localStorage.getItem(STATE_KEY);
+        if (stored) return JSON.parse(stored);
+    } catch (error) {
+        console.warn('[Alerts] Could not read alert state:', error.message);
+    }
+    return { lastFired: {}, notified: {} };
+}
+
+function saveState(state) {
+    try {
+        localStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('[Alerts] Could not save alert state:', error.message);
+    }
+}
+
+/* ---------- Conditions ---------- */
+
+/**
+ * @param {AlertRule} rule
+ * @param {Object} item - Ranked NewsItem
+ */
+export function matchesStoryRule(rule, item) {
+    if (rule.section && item.section !== rule.section) return false;
+    if (rule.minSources && (item.sourceCount || 1) < rule.minSources) return false;
+
+    if (rule.minTier) {
+        if (!item.breakingTier) return false;
+        if (BREAKING_TIERS.indexOf(item.breakingTier) < BREAKING_TIERS.indexOf(rule.minTier)) return false;
+    }
+
+    const keywords = (rule.keywords || []).map(k => k.trim().toLowerCase()).filter(Boolean);
+    if (keywords.length > 0) {
+        const text = `${item.headline || item.title} ${item.summary || ''}`.toLowerCase();
+        if (!keywords.every(keyword => containsWord(text, keyword))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Index quote from fetchAllMarketData that breaches the rule, or null
+ * @param {AlertRule} rule
+ * @param {Object} marketData
+ */
+export function matchMarketRule(rule, marketData) {
+    const quote = (marketData?.indices || [])
+        .find(index => index.name?.toUpperCase() === rule.index?.toUpperCase());
+    if (!quote) return null;
+
+    const change = parseFloat(quote.changePercent);
+    const threshold = Math.abs(rule.thresholdPercent || 0);
+    if (Number.isNaN(change)) return null;
+
+    const breached = rule.direction === 'up' ? change >= threshold : change <= -threshold;
+    return breached ? { ...quote, changePercent: change } : null;
+}
+
+/* ---------- Evaluation ---------- */
+
+function activeRules(type) {
+    const { alerts } = getSettings();
+    if (!alerts?.enabled) return [];
+    return (alerts.rules || []).filter(rule => rule.enabled !== false && rule.type === type);
+}
+
+/**
+ * Notification category: market moves, breaking-tier rules and everything else
+ * @param {AlertRule} rule
+ */
+export function getRuleCategory(rule) {
+    if (rule.type === 'market') return 'market';
+    return rule.minTier ? 'breaking' : 'alert';
+}
+
+function isHeldBack(rule, now) {
+    return getSuppressionReason(getRuleCategory(rule), now) !== null;
+}
+
+function onCooldown(state, rule, now) {
+    const last = state.lastFired[rule.id];
+    return last && now - last < (rule.cooldownMinutes || 0) * 60 * 1000;
+}
+
+function markFired(state, rule, keys, now) {
+    state.lastFired[rule.id] = now;
+    state.notified[rule.id] = [...(state.notified[rule.id] || []), ...keys].slice(-MAX_NOTIFIED_PER_RULE);
+}
+
+/**
+ * Checks story rules against the stories of one refresh
+ * @param {Object[]} items - Ranked NewsItems across all sections
+ * @param {number} [now]
+ * @returns {number} Alerts delivered
+ */
+export function evaluateStoryAlerts(items, now = Date.now()) {
+    const rules = activeRules('story');
+    if (rules.length === 0 || !items?.length) return 0;
+
+    const state = loadState();
+    let delivered = 0;
+
+    rules.forEach(rule => {
+        if (onCooldown(state, rule, now) || isHeldBack(rule, now)) return;
+
+        const notified = new Set(state.notified[rule.id] || []);
+        const seen = new Set();
+        const matches = items.filter(item => {
+            const key = item.storyId || item.id;
+            if (notified.has(key) || seen.has(key)) return false;
+            seen.add(key);
+            return matchesStoryRule(rule, item);
+        });
+        if (matches.length === 0) return;
+
+        const lead = matches.sort((a, b) => (b.impactScore || 0) - (a.impactScore || 0))[0];
+        const more = matches.length > 1 ? ` (+${matches.length - 1} more)` : '';
+        sendNotification(`🔔 ${rule.name}`, {
+            body: `${lead.headline || lead.title}${more}`,
+            tag: `alert-${rule.id}`,
+            category: getRuleCategory(rule),
+            link: lead.url || null
+        });
+
+        markFired(state, rule, matches.map(item => item.storyId || item.id), now);
+        delivered++;
+        console.log(`[Alerts] "${rule.name}" matched ${matches.length} stories`);
+    });
+
+    if (delivered > 0) saveState(state);
+    return delivered;
+}
+
+/**
+ * Checks market rules against a fetchAllMarketData result
+ * @param {Object} marketData
+ * @param {number} [now]
+ * @returns {number} Alerts delivered
+ */
+export function evaluateMarketAlerts(marketData, now = Date.now()) {
+    const rules = activeRules('market');
+    if (rules.length === 0 || !marketData) return 0;
+
+    const state = loadState();
+    let delivered = 0;
+
+    rules.forEach(rule => {
+        if (onCooldown(state, rule, now) || isHeldBack(rule, now)) return;
+
+        const quote = matchMarketRule(rule, marketData);
+        if (!quote) return;
+
+        // One alert per trading day, however long the move lasts
+        const key = `${quote.name}:${new Date(quote.timestamp || now).toDateString()}`;
+        if ((state.notified[rule.id] || []).includes(key)) return;
+
+        const sign = quote.changePercent > 0 ? '+' : '';
+        sendNotification(`🔔 ${rule.name}`, {
+            body: `${quote.name} ${quote.value} (${sign}${quote.changePercent.toFixed(2)}%)`,
+            tag: `alert-${rule.id}`,
+            category: 'market',
+            link: '/markets'
+        });
+
+        markFired(state, rule, [key], now);
+        delivered++;
+        console.log(`[Alerts] "${rule.name}" fired at ${quote.changePercent.toFixed(2)}%`);
+    });
+
+    if (delivered > 0) saveState(state);
+    return delivered;
+}
+
+/**
+ * New rule from a template (or blank story rule)
+ * @param {Partial<AlertRule>} [template]
+ * @returns {AlertRule}
+ */
+export function createAlertRule(template = {}) {
+    return {
+        name: 'New alert',
+        type: 'story',
+        keywords: [],
+        section: null,
+        minSources: 0,
+        minTier: null,
+        cooldownMinutes: 60,
+        ...template,
+        id: `alert_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        enabled: true
+    };
+}
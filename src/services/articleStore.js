@@ -0,0 +1,332 @@
+/**
+ * Article Store
+ * IndexedDB-backed persistence for fetched news items, so a reload can render
+ * from stored articles instead of re-fetching every feed through the proxies.
+ *
+ * - `articles`: one record per article id, indexed by section, source and
+ *   publishedAt, plus `fetchedFor` (multi-entry) = sections whose feeds returned it
+ * - `fetches`: per-section fetch timestamps, used for cache freshness
+ * - `reader`: full text extracted by reader mode, keyed by article URL
+ *
+ * Every function degrades to an empty result when IndexedDB is unavailable
+ * (private browsing, blocked storage), which behaves like a permanent cache miss.
+ */
+
+const DB_NAME = 'dailyEventAI_articles';
+const DB_VERSION = 2;
+const ARTICLES = 'articles';
+const FETCHES = 'fetches';
+const READER = 'reader';
+
+// Stored articles older than this (by publish time) are pruned after each save
+const RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+// Hard cap per fetched section so long-lived stores stay small
+const MAX_ARTICLES_PER_SECTION = 300;
+// Reader extractions kept for offline reading
+const MAX_READER_ENTRIES = 200;
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ARTICLES)) {
+                const articles = db.createObjectStore(ARTICLES, { keyPath: 'id' });
+                articles.createIndex('section', 'section');
+                articles.createIndex('source', 'source');
+                articles.createIndex('publishedAt', 'publishedAt');
+                articles.createIndex('fetchedFor', 'fetchedFor', { multiEntry: true });
+            }
+            if (!db.objectStoreNames.contains(FETCHES)) {
+                db.createObjectStore(FETCHES, { keyPath: 'section' });
+            }
+            if (!db.objectStoreNames.contains(READER)) {
+                db.createObjectStore(READER, { keyPath: 'url' }).createIndex('extractedAt', 'extractedAt');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch(error => {
+        console.warn('[ArticleStore] Persistent store unavailable:', error.message);
+        dbPromise = null;
+        throw error;
+    });
+
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/* ---------- Reads ---------- */
+
+// Strips the store's bookkeeping fields from a record
+function toArticle(record) {
+    const article = { ...record };
+    delete article.fetchedFor;
+    return article;
+}
+
+/**
+ * Articles previously fetched for a section, with the time of that fetch.
+ * @param {string} section
+ * @returns {Promise<{ items: Object[], fetchedAt: number|null }>}
+ */
+export async function getStoredSection(section) {
+    try {
+        const db = await openDb();
+        const tx = db.transaction([ARTICLES, FETCHES], 'readonly');
+        const [records, fetch] = await Promise.all([
+            promisify(tx.objectStore(ARTICLES).index('fetchedFor').getAll(section)),
+            promisify(tx.objectStore(FETCHES).get(section))
+        ]);
+
+        return { items: records.map(toArticle), fetchedAt: fetch?.fetchedAt ?? null };
+    } catch {
+        return { items: [], fetchedAt: null };
+    }
+}
+
+/**
+ * Articles with the given classified section, newest first.
+ * @param {string} section
+ * @returns {Promise<Object[]>}
+ */
+export async function getArticlesBySection(section) {
+    try {
+        const db = await openDb();
+        const records = await promisify(
+            db.transaction(ARTICLES, 'readonly').objectStore(ARTICLES).index('section').getAll(section)
+        );
+        return records.map(toArticle).sort((a, b) => b.publishedAt - a.publishedAt);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Articles from one source, newest first.
+ * @param {string} source
+ * @returns {Promise<Object[]>}
+ */
+export async function getArticlesBySource(source) {
+    try {
+        const db = await openDb();
+        const records = await promisify(
+            db.transaction(ARTICLES, 'readonly').objectStore(ARTICLES).index('source').getAll(source)
+        );
+        return records.map(toArticle).sort((a, b) => b.publishedAt - a.publishedAt);
+    } catch {
+        return [];
+    }
+}
+
+/* ---------- Writes ---------- */
+
+/**
+ * Reader-mode enrichment (readerService → patchArticle) survives feed merges:
+ * feeds only ever carry the teaser, so a fresh copy must not erase it.
+ */
+function keepReaderEnrichment(item, existing) {
+    if (!existing?.fullText) return item;
+
+    const merged = {
+        ...item,
+        fullText: existing.fullText,
+        wordCount: existing.wordCount
+    };
+    if (existing.byline) merged.byline = existing.byline;
+    if (!item.imageUrl && existing.imageUrl) merged.imageUrl = existing.imageUrl;
+    // Refined on the full text; the feed's is from the teaser
+    if (item.sentiment && existing.sentiment) merged.sentiment = existing.sentiment;
+    return merged;
+}
+
+/**
+ * Merges a fresh fetch for a section into the store.
+ * New articles are added, known ones updated in place (keeping any other
+ * sections that also fetched them, and any reader-mode full text), and
+ * articles the feeds no longer list are kept until they age out, so the
+ * section's set grows by deltas.
+ *
+ * @param {string} section
+ * @param {Object[]} items - Normalized items from the section's feeds
+ * @returns {Promise<Object[]>} The section's full stored set after the merge
+ */
+export async function mergeSectionArticles(section, items) {
+    try {
+        const db = await openDb();
+        const tx = db.transaction([ARTICLES, FETCHES], 'readwrite');
+        const articles = tx.objectStore(ARTICLES);
+
+        await Promise.all(items.map(async item => {
+            const existing = await promisify(articles.get(item.id));
+            const fetchedFor = [...new Set([...(existing?.fetchedFor || []), section])];
+            articles.put({ ...keepReaderEnrichment(item, existing), fetchedFor });
+        }));
+        tx.objectStore(FETCHES).put({ section, fetchedAt: Date.now(), itemCount: items.length });
+        await transactionDone(tx);
+
+        await pruneSection(db, section);
+    } catch (error) {
+        console.warn(`[ArticleStore] Could not persist ${section}:`, error.message);
+        return items;
+    }
+
+    const { items: merged } = await getStoredSection(section);
+    return merged.length > 0 ? merged : items;
+}
+
+/**
+ * Drops a section's articles past the retention window, then the oldest beyond the cap.
+ * Articles shared with other sections only lose this section's claim.
+ */
+async function pruneSection(db, section) {
+    const tx = db.transaction(ARTICLES, 'readwrite');
+    const articles = tx.objectStore(ARTICLES);
+    const records = await promisify(articles.index('fetchedFor').getAll(section));
+
+    const cutoff = Date.now() - RETENTION_MS;
+    const byAge = records.sort((a, b) => b.publishedAt - a.publishedAt);
+
+    byAge.forEach((record, index) => {
+        if (record.publishedAt >= cutoff && index < MAX_ARTICLES_PER_SECTION) return;
+
+        const fetchedFor = record.fetchedFor.filter(s => s !== section);
+        if (fetchedFor.length > 0) {
+            articles.put({ ...record, fetchedFor });
+        } else {
+            articles.delete(record.id);
+        }
+    });
+
+    await transactionDone(tx);
+}
+
+/**
+ * Updates fields on a stored article (e.g. full text from reader mode).
+ * No-op when the article is not in the store.
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Promise<boolean>} Whether the article was found
+ */
+export async function patchArticle(id, patch) {
+    try {
+        const db = await openDb();
+        const tx = db.transaction(ARTICLES, 'readwrite');
+        const articles = tx.objectStore(ARTICLES);
+        const existing = await promisify(articles.get(id));
+        if (existing) articles.put({ ...existing, ...patch });
+        await transactionDone(tx);
+        return !!existing;
+    } catch {
+        return false;
+    }
+}
+
+/* ---------- Reader Content ---------- */
+
+/**
+ * Cached reader-mode extraction for a URL
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+export async function getReaderContent(url) {
+    try {
+        const db = await openDb();
+        return (await promisify(db.transaction(READER, 'readonly').objectStore(READER).get(url))) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Caches a reader-mode extraction, dropping the oldest beyond the cap
+ * @param {Object} record - Must include `url`
+ */
+export async function saveReaderContent(record) {
+    try {
+        const db = await openDb();
+        const tx = db.transaction(READER, 'readwrite');
+        const reader = tx.objectStore(READER);
+        reader.put({ ...record, extractedAt: Date.now() });
+
+        const count = await promisify(reader.count());
+        if (count > MAX_READER_ENTRIES) {
+            const oldest = await promisify(reader.index('extractedAt').getAllKeys(null, count - MAX_READER_ENTRIES));
+            oldest.forEach(key => reader.delete(key));
+        }
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn('[ArticleStore] Could not cache reader content:', error.message);
+    }
+}
+
+/* ---------- Maintenance ---------- */
+
+/**
+ * Per-section store statistics
+ * @returns {Promise<{ totalArticles: number, sections: Array<{ section: string, fetchedAt: number, itemCount: number, storedCount: number }> }>}
+ */
+export async function getStoreStats() {
+    try {
+        const db = await openDb();
+        const tx = db.transaction([ARTICLES, FETCHES], 'readonly');
+        const articles = tx.objectStore(ARTICLES);
+        const [totalArticles, fetches] = await Promise.all([
+            promisify(articles.count()),
+            promisify(tx.objectStore(FETCHES).getAll())
+        ]);
+
+        const sections = await Promise.all(fetches.map(async fetch => ({
+            ...fetch,
+            storedCount: await promisify(articles.index('fetchedFor').count(fetch.section))
+        })));
+
+        return { totalArticles, sections };
+    } catch {
+        return { totalArticles: 0, sections: [] };
+    }
+}
+
+/**
+ * Removes every stored article and fetch record.
+ * Reader extractions are kept: they do not depend on feed or ranking settings.
+ * @returns {Promise<number>} Number of articles removed
+ */
+export async function clearArticleStore() {
+    try {
+        const db = await openDb();
+        const tx = db.transaction([ARTICLES, FETCHES], 'readwrite');
+        const count = await promisify(tx.objectStore(ARTICLES).count());
+        tx.objectStore(ARTICLES).clear();
+        tx.objectStore(FETCHES).clear();
+        await transactionDone(tx);
+        return count;
+    } catch {
+        return 0;
+    }
+}
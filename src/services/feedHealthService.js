@@ -0,0 +1,145 @@
+/**
+ * Feed Health Service
+ * Persists per-feed fetch outcomes so chronically failing feeds can be spotted
+ * (and disabled) from the Refresh page instead of only showing up in console logs.
+ */
+
+const HEALTH_KEY = 'dailyEventAI_feedHealth';
+
+// A feed is flagged as failing below this success rate once it has enough samples
+const FAILING_SUCCESS_RATE = 0.5;
+const MIN_CALLS_FOR_VERDICT = 3;
+
+/**
+ * @typedef {Object} FeedHealth
+ * @property {string} url
+ * @property {string} section
+ * @property {number} calls
+ * @property {number} success
+ * @property {number} failure
+ * @property {number} successRate - 0..1
+ * @property {number|null} avgLatency - ms, successful fetches only
+ * @property {number|null} avgItems - items per successful full (not 304) fetch
+ * @property {number|null} lastItemCount
+ * @property {number|null} lastSuccess - timestamp
+ * @property {string|null} lastError
+ * @property {number|null} lastErrorAt - timestamp
+ * @property {boolean} isFailing
+ */
+
+function loadHealth() {
+    try {
+        const stored = localStorage.getItem(HEALTH_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function saveHealth(health) {
+    try {
+        localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+    } catch (error) {
+        console.error('[FeedHealth] Error saving feed health:', error);
+    }
+}
+
+/**
+ * Record the outcome of one feed fetch
+ * @param {string} url - Feed URL
+ * @param {Object} result
+ * @param {string} result.section
+ * @param {boolean} result.success
+ * @param {number} result.latency - ms
+ * @param {number} [result.itemCount]
+ * @param {boolean} [result.notModified] - Conditional fetch found nothing new (no item count)
+ * @param {string} [result.error]
+ */
+export function recordFeedResult(url, { section, success, latency, itemCount = 0, notModified = false, error = null }) {
+    const health = loadHealth();
+    const h = health[url] || {
+        section,
+        success: 0,
+        failure: 0,
+        calls: 0,
+        totalLatency: 0,
+        totalItems: 0,
+        itemSamples: 0,
+        lastItemCount: null,
+        lastSuccess: null,
+        lastError: null,
+        lastErrorAt: null
+    };
+
+    h.section = section || h.section;
+    h.calls++;
+
+    if (success) {
+        h.success++;
+        h.totalLatency += latency;
+        if (!notModified) {
+            h.totalItems += itemCount;
+            // Records from before itemSamples existed sampled every success
+            h.itemSamples = (h.itemSamples ?? h.success - 1) + 1;
+            h.lastItemCount = itemCount;
+        }
+        h.lastSuccess = Date.now();
+    } else {
+        h.failure++;
+        h.lastError = error || 'Unknown error';
+        h.lastErrorAt = Date.now();
+    }
+
+    health[url] = h;
+    saveHealth(health);
+}
+
+/**
+ * Health for every feed that has been fetched at least once,
+ * worst success rate first.
+ * @returns {FeedHealth[]}
+ */
+export function getFeedHealth() {
+    const health = loadHealth();
+
+    return Object.entries(health)
+        .map(([url, h]) => {
+            const successRate = h.calls > 0 ? h.success / h.calls : 1;
+            return {
+                url,
+                section: h.section,
+                calls: h.calls,
+                success: h.success,
+                failure: h.failure,
+                successRate,
+                avgLatency: h.success > 0 ? Math.round(h.totalLatency / h.success) : null,
+                avgItems: (h.itemSamples ?? h.success) > 0 ? Math.round(h.totalItems / (h.itemSamples ?? h.success)) : null,
+                lastItemCount: h.lastItemCount,
+                lastSuccess: h.lastSuccess,
+                lastError: h.lastError,
+                lastErrorAt: h.lastErrorAt,
+                isFailing: h.calls >= MIN_CALLS_FOR_VERDICT && successRate < FAILING_SUCCESS_RATE
+            };
+        })
+        .sort((a, b) => a.successRate - b.successRate);
+}
+
+/**
+ * Clear all recorded feed health
+ */
+export function resetFeedHealth() {
+    try {
+        localStorage.removeItem(HEALTH_KEY);
+    } catch {
+        // ignore
+    }
+}
+
+/**
+ * Whether the user has disabled this feed from the health panel
+ * @param {string} url
+ * @param {Object} settings
+ */
+export function isFeedDisabled(url, settings) {
+    return (settings?.disabledFeeds || []).includes(url);
+}
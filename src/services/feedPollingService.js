@@ -0,0 +1,183 @@
+/**
+ * Feed Polling Service
+ * Remembers, per feed, the validators from the last fetch (ETag, Last-Modified,
+ * a hash of the item links) and how often the feed actually changes, so
+ * refreshes can skip feeds that are not due, request them conditionally, and
+ * back off from failing feeds instead of hammering the proxies every 5 minutes.
+ */
+
+const POLLING_KEY = 'dailyEventAI_feedPolling';
+
+// Poll at roughly twice the observed change rate, within these bounds
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_INTERVAL_MS = 2 * 60 * 60 * 1000;
+
+// Failing feeds wait MIN_INTERVAL * 2^(failures - 1), capped
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Weight of the newest change interval in the moving average
+const CADENCE_SMOOTHING = 0.3;
+
+/**
+ * @typedef {Object} FeedPollState
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {string|null} contentHash - Hash of the item links/guids last seen
+ * @property {number|null} lastChangedAt - When new content was last seen
+ * @property {number|null} avgChangeInterval - Smoothed ms between content changes
+ * @property {number|null} lastPolledAt
+ * @property {number} consecutiveFailures
+ * @property {number|null} nextPollAt
+ */
+
+function loadPolling() {
+    try {
+        const stored = localStorage.getItem(POLLING_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function savePolling(polling) {
+    try {
+        localStorage.setItem(POLLING_KEY, JSON.stringify(polling));
+    } catch (error) {
+        console.error('[FeedPolling] Error saving polling state:', error);
+    }
+}
+
+// State is per feed *and* section: a feed shared by two sections must deliver
+// its items to each of them, not only to whichever polled first
+function pollKey(url, section) {
+    return `${section || ''}|${url}`;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Delay before the next poll of a healthy feed. A feed that has been quiet for
+ * longer than its usual cadence is treated as slowing down.
+ */
+function pollInterval(state, now) {
+    const sinceChange = state.lastChangedAt ? now - state.lastChangedAt : 0;
+    const expected = Math.max(state.avgChangeInterval || MIN_INTERVAL_MS, sinceChange);
+    return clamp(expected / 2, MIN_INTERVAL_MS, MAX_INTERVAL_MS);
+}
+
+function backoffInterval(failures) {
+    return Math.min(MIN_INTERVAL_MS * 2 ** (failures - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Whether a feed should be requested now.
+ * @param {string} url
+ * @param {string} section
+ * @returns {{ due: boolean, reason: string|null, nextPollAt: number|null }}
+ */
+export function getPollDecision(url, section) {
+    const state = loadPolling()[pollKey(url, section)];
+    if (!state?.nextPollAt || Date.now() >= state.nextPollAt) {
+        return { due: true, reason: null, nextPollAt: state?.nextPollAt ?? null };
+    }
+
+    return {
+        due: false,
+        reason: state.consecutiveFailures > 0 ? 'backoff' : 'not-due',
+        nextPollAt: state.nextPollAt
+    };
+}
+
+/**
+ * Validators from the last successful fetch
+ * @param {string} url
+ * @param {string} section
+ * @returns {{ etag: string|null, lastModified: string|null, contentHash: string|null }}
+ */
+export function getValidators(url, section) {
+    const state = loadPolling()[pollKey(url, section)];
+    return {
+        etag: state?.etag ?? null,
+        lastModified: state?.lastModified ?? null,
+        contentHash: state?.contentHash ?? null
+    };
+}
+
+/**
+ * Record the outcome of one poll and schedule the next one
+ * @param {string} url
+ * @param {string} section
+ * @param {Object} result
+ * @param {boolean} result.success
+ * @param {boolean} [result.changed] - New content was seen (false for 304 / same items)
+ * @param {string|null} [result.etag]
+ * @param {string|null} [result.lastModified]
+ * @param {string|null} [result.contentHash]
+ */
+export function recordPollResult(url, section, { success, changed = false, etag = null, lastModified = null, contentHash = null }) {
+    const polling = loadPolling();
+    const key = pollKey(url, section);
+    const now = Date.now();
+    const state = polling[key] || {
+        etag: null,
+        lastModified: null,
+        contentHash: null,
+        lastChangedAt: null,
+        avgChangeInterval: null,
+        lastPolledAt: null,
+        consecutiveFailures: 0,
+        nextPollAt: null
+    };
+
+    state.lastPolledAt = now;
+
+    if (!success) {
+        state.consecutiveFailures++;
+        state.nextPollAt = now + backoffInterval(state.consecutiveFailures);
+    } else {
+        state.consecutiveFailures = 0;
+        if (etag) state.etag = etag;
+        if (lastModified) state.lastModified = lastModified;
+        if (contentHash) state.contentHash = contentHash;
+
+        if (changed) {
+            if (state.lastChangedAt) {
+                const interval = now - state.lastChangedAt;
+                state.avgChangeInterval = state.avgChangeInterval
+                    ? Math.round(CADENCE_SMOOTHING * interval + (1 - CADENCE_SMOOTHING) * state.avgChangeInterval)
+                    : interval;
+            }
+            state.lastChangedAt = now;
+        }
+
+        state.nextPollAt = now + pollInterval(state, now);
+    }
+
+    polling[key] = state;
+    savePolling(polling);
+}
+
+/**
+ * Polling state for one feed (for display)
+ * @param {string} url
+ * @param {string} section
+ * @returns {FeedPollState|null}
+ */
+export function getFeedPollState(url, section) {
+    return loadPolling()[pollKey(url, section)] || null;
+}
+
+/**
+ * Forget all validators and schedules so every feed is fetched in full next time.
+ * Must accompany clearing the article store, which holds the content those
+ * validators vouch for.
+ */
+export function resetFeedPolling() {
+    try {
+        localStorage.removeItem(POLLING_KEY);
+    } catch {
+        // ignore
+    }
+}
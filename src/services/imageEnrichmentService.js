@@ -0,0 +1,184 @@
+/**
+ * Image Enrichment Service
+ * Many feeds (Google News especially) ship no enclosure or thumbnail, which
+ * pushes otherwise strong stories into the newspaper briefs. After a refresh
+ * has rendered, this resolves the article page's og:image / twitter:image for
+ * the top-ranked imageless items, validates it, and caches the verdict so
+ * later normalizations pick the image up synchronously.
+ */
+
+import { fetchViaProxy } from './proxyRegistry';
+import { patchArticle } from './articleStore';
+import { extractLeadImage } from '../utils/readability';
+
+const CACHE_KEY = 'dailyEventAI_ogImages';
+const HIT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Pages without a usable image are retried after a day
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const MAX_PER_RUN = 12;
+const CONCURRENCY = 3;
+const PROBE_TIMEOUT_MS = 8000;
+
+// Site logos and placeholders served as og:image on pages without a real photo
+const PLACEHOLDER_PATTERN = /logo|favicon|placeholder|default[-_]?(img|image|og|share)|sprite|blank\.|spacer|1x1/i;
+
+// Article pages that never carry the story's own image (redirect shells)
+const SKIPPED_HOSTS = ['news.google.com'];
+
+const inFlight = new Set();
+
+// Parsed once: normalizeItem reads it for every imageless item of every feed
+let memoryCache = null;
+
+/* ---------- Cache ---------- */
+
+function loadCache() {
+    if (memoryCache) return memoryCache;
+    try {
+        const stored = localStorage.getItem(CACHE_KEY);
+        memoryCache = stored ? JSON.parse(stored) : {};
+    } catch {
+        memoryCache = {};
+    }
+    return memoryCache;
+}
+
+function saveCache(cache) {
+    try {
+        const entries = Object.entries(cache);
+        const trimmed = entries.length > MAX_CACHE_ENTRIES
+            ? Object.fromEntries(entries.sort((a, b) => b[1].checkedAt - a[1].checkedAt).slice(0, MAX_CACHE_ENTRIES))
+            : cache;
+        memoryCache = trimmed;
+        localStorage.setItem(CACHE_KEY, JSON.stringify(trimmed));
+    } catch (error) {
+        console.error('[ImageEnrichment] Error saving cache:', error);
+    }
+}
+
+function isFresh(entry) {
+    if (!entry) return false;
+    const ttl = entry.imageUrl ? HIT_TTL_MS : MISS_TTL_MS;
+    return Date.now() - entry.checkedAt < ttl;
+}
+
+/**
+ * Previously resolved og:image for an article URL (sync, for normalizeItem)
+ * @param {string} articleUrl
+ * @returns {string|null}
+ */
+export function getCachedOgImage(articleUrl) {
+    if (!articleUrl) return null;
+    const entry = loadCache()[articleUrl];
+    return isFresh(entry) ? entry.imageUrl : null;
+}
+
+/* ---------- Validation ---------- */
+
+function isCandidateUrl(imageUrl) {
+    return !!imageUrl &&
+        /^https?:\/\//.test(imageUrl) &&
+        !/\.svg(\?|$)/i.test(imageUrl) &&
+        !PLACEHOLDER_PATTERN.test(imageUrl);
+}
+
+/**
+ * Loads the image to confirm it exists and is large enough to lead a card
+ */
+function probeImage(imageUrl) {
+    if (typeof Image === 'undefined') return Promise.resolve(true);
+
+    return new Promise(resolve => {
+        const img = new Image();
+        const timer = setTimeout(() => resolve(false), PROBE_TIMEOUT_MS);
+        img.onload = () => {
+            clearTimeout(timer);
+            resolve(img.naturalWidth >= 200 && img.naturalHeight >= 100);
+        };
+        img.onerror = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        img.src = imageUrl;
+    });
+}
+
+function shouldEnrich(item) {
+    const url = item.url || item.link;
+    if (!url || item.imageUrl || inFlight.has(url)) return false;
+    try {
+        return !SKIPPED_HOSTS.includes(new URL(url).hostname);
+    } catch {
+        return false;
+    }
+}
+
+/* ---------- Enrichment ---------- */
+
+async function resolveImage(articleUrl) {
+    try {
+        const html = await fetchViaProxy(articleUrl, { validate: body => typeof body === 'string' && /<meta/i.test(body) });
+        const imageUrl = extractLeadImage(html, articleUrl);
+        if (!isCandidateUrl(imageUrl)) return null;
+        return (await probeImage(imageUrl)) ? imageUrl : null;
+    } catch (error) {
+        console.warn(`[ImageEnrichment] Could not resolve image for ${articleUrl}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Resolves og:image for the given items (best-ranked first) in the background.
+ * Cached verdicts are reused; new hits are written to the cache and the
+ * article store so the visual score counts them on the next ranking pass.
+ *
+ * @param {Object[]} items - NewsItems, in priority order
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max pages to fetch this run
+ * @returns {Promise<Map<string, string>>} Article id → image URL for items that gained an image
+ */
+export async function enrichMissingImages(items, { limit = MAX_PER_RUN } = {}) {
+    const found = new Map();
+    const cache = { ...loadCache() };
+
+    const pending = [];
+    for (const item of items.filter(shouldEnrich)) {
+        const url = item.url || item.link;
+        const entry = cache[url];
+        if (isFresh(entry)) {
+            if (entry.imageUrl) found.set(item.id, entry.imageUrl);
+            continue;
+        }
+        if (pending.length < limit) pending.push(item);
+    }
+
+    // Small worker pool so a refresh never queues dozens of proxy requests at once
+    const queue = [...pending];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const item = queue.shift();
+            const url = item.url || item.link;
+            inFlight.add(url);
+            try {
+                const imageUrl = await resolveImage(url);
+                cache[url] = { imageUrl, checkedAt: Date.now() };
+                if (imageUrl) {
+                    found.set(item.id, imageUrl);
+                    await patchArticle(item.id, { imageUrl });
+                }
+            } finally {
+                inFlight.delete(url);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, pending.length) }, worker));
+
+    if (pending.length > 0) {
+        saveCache({ ...loadCache(), ...cache });
+        console.log(`[ImageEnrichment] Checked ${pending.length} articles, ${found.size} images available`);
+    }
+
+    return found;
+}
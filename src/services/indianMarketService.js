@@ -1,4 +1,5 @@
 // import { getSettings } from '../utils/storage';
+import { fetchViaProxy } from './proxyRegistry';
 
 // ============================================
 // 1. STOCK INDICES (NSE/BSE)
@@ -19,58 +20,16 @@ const INDICES = {
 // Yahoo Finance API Base
 const YAHOO_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
 
-// Proxy Rotation Strategy
-const PROXIES = [
-    // Strategy 1: AllOrigins (Generally reliable, JSON wrap)
-    (url) => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
-    // Strategy 2: CodeTabs (Good fallback)
-    (url) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,
-    // Strategy 3: CORSProxy.io (Direct, sometimes limited)
-    (url) => `https://corsproxy.io/?${encodeURIComponent(url)}`
-];
-
-// Helper to fetch with CORS proxy rotation
+// Helper to fetch via the shared CORS proxy registry (direct request first)
 async function fetchYahooData(symbol) {
     const targetUrl = `${YAHOO_BASE}${encodeURIComponent(symbol)}?interval=1d&range=1d`;
 
-    const fetchWithTimeout = async (url, options = {}) => {
-        const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-        try {
-            const response = await fetch(url, { ...options, signal: controller.signal });
-            clearTimeout(id);
-            return response;
-        } catch (e) {
-            clearTimeout(id);
-            throw e;
-        }
-    };
-
-    // Try Direct First (Works in some environments/extensions)
     try {
-        const response = await fetchWithTimeout(targetUrl);
-        if (response.ok) {
-            return await response.json();
-        }
+        return await fetchViaProxy(targetUrl, { as: 'json', tryDirect: true });
     } catch (e) {
-        // Ignore and try proxies
+        console.warn(`[MarketService] ${e.message}`);
+        throw new Error(`Failed to fetch market data for ${symbol}`);
     }
-
-    // Try Proxies sequentially
-    for (const proxyGen of PROXIES) {
-        try {
-            const proxyUrl = proxyGen(targetUrl);
-            const response = await fetchWithTimeout(proxyUrl);
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (e) {
-            console.warn(`[MarketService] Proxy failed: ${e.message}`);
-            // Continue to next proxy
-        }
-    }
-
-    throw new Error(`Failed to fetch market data for ${symbol}`);
 }
 
 // Helper to extract price data from Yahoo response
@@ -191,15 +150,9 @@ export async function fetchMutualFunds() {
 export async function fetchIPOData() {
     console.log('[MarketService] Fetching IPO data from IPOWatch...');
     const targetUrl = 'https://ipowatch.in/upcoming-ipo-calendar-ipo-list/';
-    // Using AllOrigins to get HTML
-    const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(targetUrl)}`;
 
     try {
-        const response = await fetch(proxyUrl);
-        if (!response.ok) throw new Error('Proxy failed');
-
-        const json = await response.json();
-        const html = json.contents;
+        const html = await fetchViaProxy(targetUrl);
 
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
@@ -305,14 +258,8 @@ async function fetchScreenerData(url) {
     // Need a region that supports this endpoint, usually US/Global works
     // Rotating proxies helps here too
 
-    // Using AllOrigins or CodeTabs is necessary for this complex JSON
-    const PROXY = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
-
     try {
-        const response = await fetch(PROXY);
-        if (!response.ok) return [];
-
-        const data = await response.json();
+        const data = await fetchViaProxy(url, { as: 'json' });
         const results = data.finance?.result?.[0]?.quotes || [];
 
         return results.map(quote => ({
@@ -3,6 +3,9 @@
  * Fetches data from NewsData.io (Priority) or RSS Fallback (Basic Data)
  */
 
+import { fetchViaProxy, fetchWithTimeout, getRss2JsonUrl } from './proxyRegistry';
+import { parseFeed, looksLikeFeed } from '../utils/feedParser';
+
 const BASE_URL = 'https://newsdata.io/api/1/news';
 
 // Mapping from Settings Keys (or general identifiers) to Google News Source Strings
@@ -87,22 +90,34 @@ export async function fetchNews(query, keys = {}) {
 }
 
 /**
- * Fetch "Basic Data" via Google News RSS + rss2json
+ * Fetch raw feed items through the proxy registry (native parse first, rss2json fallback)
  */
-async function fetchRSSNews(query, settings = null) {
+async function fetchFeedItems(rssUrl) {
     try {
-        const rssUrl = `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=en-IN&gl=IN&ceid=IN:en`;
-        const proxyUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(rssUrl)}`;
-
-        const response = await fetch(proxyUrl);
+        const xml = await fetchViaProxy(rssUrl, { validate: looksLikeFeed });
+        return parseFeed(xml).items;
+    } catch (error) {
+        void error;
+        const response = await fetchWithTimeout(getRss2JsonUrl(rssUrl));
         if (!response.ok) throw new Error('RSS Proxy failed');
 
         const data = await response.json();
         if (data.status !== 'ok') throw new Error('RSS Parse failed');
+        return data.items || [];
+    }
+}
 
-        let items = (data.items || []).map((item, idx) => {
+/**
+ * Fetch "Basic Data" via Google News RSS
+ */
+async function fetchRSSNews(query, settings = null) {
+    try {
+        const rssUrl = `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=en-IN&gl=IN&ceid=IN:en`;
+        const feedItems = await fetchFeedItems(rssUrl);
+
+        let items = feedItems.map((item, idx) => {
             // Extract source from title if author is missing/generic
-            let source = item.author || 'Google News';
+            let source = item.source || item.author || 'Google News';
             if (source === 'Google News' || !source) {
                 source = extractSourceFromTitle(item.title) || 'Unknown Source';
             }
@@ -151,16 +166,9 @@ async function fetchRSSNews(query, settings = null) {
 async function fetchDDGNews(query) {
     try {
         const rssUrl = `https://www.bing.com/news/search?q=${encodeURIComponent(query)}&format=rss`;
-        const proxyUrl = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(rssUrl)}`;
-
-        const response = await fetch(proxyUrl);
-        if (!response.ok) throw new Error('DDG/Bing RSS Proxy failed');
-
-        const data = await response.json();
-        // rss2json returns status: 'error' if it fails to parse
-        if (data.status === 'error') throw new Error('DDG Parse failed');
+        const feedItems = await fetchFeedItems(rssUrl);
 
-        return (data.items || []).map((item, idx) => ({
+        return feedItems.map((item, idx) => ({
             id: `ddg-${idx}`,
             headline: item.title,
             summary: item.description || 'Web Result',
@@ -0,0 +1,309 @@
+/**
+ * Personalization Service
+ * A small on-device learning-to-rank model. Every story is described by a
+ * handful of features (its source, section, named entities and title
+ * keywords); clicks, reading time and skipped stories nudge each feature's
+ * affinity up or down. computeImpactScore turns the affinities of an item's
+ * features into a bounded personal multiplier.
+ *
+ * Nothing leaves the device: the model lives in localStorage and old
+ * evidence fades with a half-life so tastes can change.
+ */
+
+import { getSettings } from '../utils/storage';
+import { PROMINENT_ENTITIES } from '../data/prominentEntities';
+import { ENTITY_OVERRIDES } from '../data/entityOverrides';
+
+const STORAGE_KEY = 'dailyEventAI_personalization';
+
+// Evidence halves every three weeks
+const HALF_LIFE_MS = 21 * 24 * 60 * 60 * 1000;
+const MAX_FEATURES = 600;
+
+// The multiplier stays neutral until the model has seen enough interactions
+const MIN_EVENTS = 5;
+const MAX_BOOST = 1.3;
+const MAX_PENALTY = 0.8;
+
+// Evidence needed for a feature to reach ~76% of full affinity (tanh(1))
+const AFFINITY_SCALE = 3;
+
+// Reward per interaction, shared by every feature of the story
+const REWARDS = {
+    click: 1,
+    skip: -0.15,
+    bounce: -0.6,       // Opened but left within BOUNCE_MS
+    read: 0.5,          // Stayed READ_MS or longer
+    deepRead: 1         // Stayed DEEP_READ_MS or longer
+};
+const BOUNCE_MS = 10 * 1000;
+const READ_MS = 30 * 1000;
+const DEEP_READ_MS = 2 * 60 * 1000;
+
+// How much each feature kind counts towards an item's overall affinity
+const KIND_WEIGHTS = { source: 0.3, section: 0.2, entity: 0.25, keyword: 0.25 };
+
+const MAX_KEYWORDS = 6;
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'will', 'says', 'said',
+    'after', 'over', 'more', 'about', 'into', 'than', 'amid', 'what', 'when', 'where', 'which',
+    'have', 'has', 'had', 'been', 'being', 'their', 'they', 'them', 'there', 'here', 'also',
+    'news', 'update', 'updates', 'latest', 'today', 'live', 'top', 'best', 'year', 'years',
+    'week', 'could', 'would', 'should', 'first', 'last', 'video', 'watch', 'photos'
+]);
+
+const ENTITY_NAMES = [...new Set([...PROMINENT_ENTITIES, ...Object.keys(ENTITY_OVERRIDES)])];
+
+let model = null;
+
+/* ---------- Model storage ---------- */
+
+function emptyModel() {
+    return { features: {}, events: 0, updatedAt: null };
+}
+
+function loadModel() {
+    if (model) return model;
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        model = stored ? JSON.parse(stored) : seedFromHistory();
+    } catch {
+        model = emptyModel();
+    }
+    return model;
+}
+
+function saveModel() {
+    try {
+        pruneFeatures();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+    } catch (error) {
+        console.error('[Personalization] Error saving model:', error);
+    }
+}
+
+/**
+ * First run: treat the existing reading history as clicks so the model
+ * does not start from zero. History entries only carry title and
+ * description, so this seeds entities and keywords.
+ */
+function seedFromHistory() {
+    const seeded = emptyModel();
+    const history = getSettings().readingHistory || [];
+    model = seeded;
+    history.forEach(entry => {
+        applyReward({ title: entry.title }, REWARDS.click, entry.timestamp || Date.now());
+        seeded.events += 1;
+    });
+    if (history.length > 0) {
+        saveModel();
+        console.log(`[Personalization] Seeded model from ${history.length} read articles`);
+    }
+    return seeded;
+}
+
+function decayed(feature, now) {
+    return feature.s * Math.pow(0.5, (now - feature.t) / HALF_LIFE_MS);
+}
+
+function pruneFeatures() {
+    const entries = Object.entries(model.features);
+    if (entries.length <= MAX_FEATURES) return;
+    const now = Date.now();
+    model.features = Object.fromEntries(entries
+        .sort((a, b) => Math.abs(decayed(b[1], now)) - Math.abs(decayed(a[1], now)))
+        .slice(0, MAX_FEATURES));
+}
+
+/* ---------- Features ---------- */
+
+function extractKeywords(title) {
+    const words = (title || '').toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
+    return [...new Set(words.filter(word => !STOP_WORDS.has(word)))].slice(0, MAX_KEYWORDS);
+}
+
+function extractEntities(title) {
+    const lower = (title || '').toLowerCase();
+    return ENTITY_NAMES.filter(name => lower.includes(name.toLowerCase()));
+}
+
+/**
+ * Feature keys describing a story, e.g. "source:The Hindu", "entity:Modi", "kw:monsoon"
+ * @param {Object} item - NewsItem (or anything with a title)
+ * @returns {string[]}
+ */
+export function extractFeatures(item) {
+    const title = item.title || item.headline || '';
+    const features = [];
+    if (item.source) features.push(`source:${item.source}`);
+    if (item.section) features.push(`section:${item.section}`);
+    extractEntities(title).forEach(entity => features.push(`entity:${entity}`));
+    extractKeywords(title).forEach(word => features.push(`kw:${word}`));
+    return features;
+}
+
+function featureKind(feature) {
+    const prefix = feature.slice(0, feature.indexOf(':'));
+    return prefix === 'kw' ? 'keyword' : prefix;
+}
+
+/* ---------- Learning ---------- */
+
+function applyReward(item, reward, now = Date.now()) {
+    extractFeatures(item).forEach(feature => {
+        const current = model.features[feature];
+        const base = current ? decayed(current, now) : 0;
+        model.features[feature] = { s: base + reward, t: now };
+    });
+    model.updatedAt = now;
+}
+
+function isEnabled() {
+    return getSettings().enablePersonalization !== false;
+}
+
+function learn(item, reward) {
+    if (!item || !isEnabled()) return;
+    loadModel();
+    applyReward(item, reward);
+    model.events += 1;
+    saveModel();
+}
+
+/**
+ * The user opened a story
+ * @param {Object} item
+ */
+export function recordClick(item) {
+    learn(item, REWARDS.click);
+}
+
+/**
+ * How long the user spent on a story. Quick bounces count against it,
+ * long reads reinforce the click.
+ * @param {Object} item
+ * @param {number} durationMs
+ */
+export function recordDwell(item, durationMs) {
+    if (durationMs < BOUNCE_MS) learn(item, REWARDS.bounce);
+    else if (durationMs >= DEEP_READ_MS) learn(item, REWARDS.deepRead);
+    else if (durationMs >= READ_MS) learn(item, REWARDS.read);
+}
+
+/**
+ * Stories ranked above the one the user clicked were seen and passed over
+ * @param {Object[]} items
+ */
+export function recordSkips(items) {
+    if (!items?.length || !isEnabled()) return;
+    loadModel();
+    const now = Date.now();
+    items.forEach(item => applyReward(item, REWARDS.skip, now));
+    model.events += 1;
+    saveModel();
+}
+
+/**
+ * Measures time spent on an article opened in another tab: from the moment
+ * this page is hidden until it becomes visible again.
+ * @param {Object} item
+ */
+export function trackExternalDwell(item) {
+    if (typeof document === 'undefined' || !isEnabled()) return;
+
+    let leftAt = null;
+    const handleVisibility = () => {
+        if (document.visibilityState === 'hidden') {
+            leftAt = Date.now();
+        } else if (leftAt !== null) {
+            document.removeEventListener('visibilitychange', handleVisibility);
+            recordDwell(item, Date.now() - leftAt);
+        }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    // Popup blocked or opened in the background: nothing to measure
+    setTimeout(() => {
+        if (leftAt === null) document.removeEventListener('visibilitychange', handleVisibility);
+    }, 3000);
+}
+
+/* ---------- Scoring ---------- */
+
+function affinity(feature, now) {
+    const entry = model.features[feature];
+    return entry ? Math.tanh(decayed(entry, now) / AFFINITY_SCALE) : 0;
+}
+
+/**
+ * Personal multiplier for an item, between MAX_PENALTY and MAX_BOOST.
+ * Feature affinities are averaged per kind, then combined with KIND_WEIGHTS
+ * over the kinds the item actually has.
+ *
+ * @param {Object} item
+ * @param {string} [section] - Overrides item.section
+ * @returns {number} 1 while the model is still learning
+ */
+export function getPersonalMultiplier(item, section) {
+    loadModel();
+    if (model.events < MIN_EVENTS) return 1;
+
+    const now = Date.now();
+    const byKind = {};
+    extractFeatures({ ...item, section: section || item.section }).forEach(feature => {
+        const kind = featureKind(feature);
+        (byKind[kind] = byKind[kind] || []).push(affinity(feature, now));
+    });
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(byKind).forEach(([kind, values]) => {
+        const weight = KIND_WEIGHTS[kind] || 0;
+        weighted += weight * (values.reduce((sum, v) => sum + v, 0) / values.length);
+        totalWeight += weight;
+    });
+    if (totalWeight === 0) return 1;
+
+    const score = weighted / totalWeight;
+    const multiplier = score >= 0
+        ? 1 + score * (MAX_BOOST - 1)
+        : 1 + score * (1 - MAX_PENALTY);
+    return Math.min(MAX_BOOST, Math.max(MAX_PENALTY, multiplier));
+}
+
+/* ---------- Inspection ---------- */
+
+/**
+ * What the model has learned so far, for the settings screen
+ * @param {number} [limit] - Features per list
+ * @returns {{ events: number, learning: boolean, updatedAt: number|null, liked: Array<{ kind: string, name: string, affinity: number }>, disliked: Array<{ kind: string, name: string, affinity: number }> }}
+ */
+export function getPersonalizationSummary(limit = 8) {
+    loadModel();
+    const now = Date.now();
+    const ranked = Object.keys(model.features)
+        .map(feature => ({
+            kind: featureKind(feature),
+            name: feature.slice(feature.indexOf(':') + 1),
+            affinity: affinity(feature, now)
+        }))
+        .filter(entry => Math.abs(entry.affinity) >= 0.05)
+        .sort((a, b) => b.affinity - a.affinity);
+
+    return {
+        events: model.events,
+        learning: model.events < MIN_EVENTS,
+        updatedAt: model.updatedAt,
+        liked: ranked.filter(entry => entry.affinity > 0).slice(0, limit),
+        disliked: ranked.filter(entry => entry.affinity < 0).reverse().slice(0, limit)
+    };
+}
+
+/**
+ * Forget everything learned. Reading history is kept but is not replayed.
+ */
+export function resetPersonalization() {
+    model = emptyModel();
+    saveModel();
+    console.log('[Personalization] Model reset');
+}
@@ -0,0 +1,302 @@
+/**
+ * CORS Proxy Registry
+ * Single source of truth for every proxy the app routes third-party requests through.
+ *
+ * - Built-in public proxies plus an optional self-hosted proxy from Settings
+ * - Per-proxy health scoring (success rate, latency, consecutive failures), persisted
+ * - Ordered rotation with per-request timeouts, so every service fails over the same way
+ */
+
+import { getSettings } from '../utils/storage';
+
+const HEALTH_KEY = 'dailyEventAI_proxyHealth';
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// A proxy that failed this many times in a row is parked until the cooldown passes
+const FAILURE_STREAK_LIMIT = 3;
+const COOLDOWN_MS = 5 * 60 * 1000;
+
+const RSS2JSON_BASE = 'https://api.rss2json.com/v1/api.json?rss_url=';
+
+// ============================================
+// PROXY DEFINITIONS
+// ============================================
+
+/**
+ * @typedef {Object} ProxyDefinition
+ * @property {string} id
+ * @property {string} name
+ * @property {(url: string) => string} build - Wraps a target URL
+ * @property {(response: Response) => Promise<string>} [unwrap] - Extracts the body text
+ * @property {boolean} [forwardsHeaders] - Passes request headers (e.g. conditional-request
+ *   validators) through to the target. Public proxies are not sent custom headers: they would
+ *   trigger CORS preflights those proxies do not all answer.
+ */
+
+/** @type {ProxyDefinition[]} */
+const BUILT_IN_PROXIES = [
+    {
+        id: 'allorigins',
+        name: 'AllOrigins',
+        build: (url) => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`
+    },
+    {
+        // JSON-wrapped variant survives some upstream content-type issues the raw endpoint trips on
+        id: 'allorigins-json',
+        name: 'AllOrigins (JSON)',
+        build: (url) => `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
+        unwrap: async (response) => {
+            const data = await response.json();
+            if (!data.contents) throw new Error('AllOrigins empty content');
+            return data.contents;
+        }
+    },
+    {
+        id: 'codetabs',
+        name: 'CodeTabs',
+        build: (url) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`
+    },
+    {
+        id: 'corsproxy',
+        name: 'CORSProxy.io',
+        build: (url) => `https://corsproxy.io/?${encodeURIComponent(url)}`
+    }
+];
+
+/**
+ * Builds the user's self-hosted proxy definition from settings.
+ * Accepts either a template containing "{url}" or a prefix the encoded URL is appended to.
+ */
+function getCustomProxy() {
+    const customUrl = getSettings().proxy?.customUrl?.trim();
+    if (!customUrl) return null;
+
+    return {
+        id: 'custom',
+        name: 'Self-hosted',
+        forwardsHeaders: true,
+        build: (url) => customUrl.includes('{url}')
+            ? customUrl.replace('{url}', encodeURIComponent(url))
+            : `${customUrl}${encodeURIComponent(url)}`
+    };
+}
+
+// ============================================
+// HEALTH TRACKING
+// ============================================
+
+function loadHealth() {
+    try {
+        const stored = localStorage.getItem(HEALTH_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function recordResult(proxyId, success, latency, errorMessage = null) {
+    try {
+        const health = loadHealth();
+        if (!health[proxyId]) {
+            health[proxyId] = {
+                success: 0, failure: 0, totalLatency: 0, calls: 0,
+                consecutiveFailures: 0, lastSuccess: null, lastFailure: null, lastError: null
+            };
+        }
+
+        const h = health[proxyId];
+        h.calls++;
+        if (success) {
+            h.success++;
+            h.totalLatency += latency;
+            h.consecutiveFailures = 0;
+            h.lastSuccess = Date.now();
+        } else {
+            h.failure++;
+            h.consecutiveFailures++;
+            h.lastFailure = Date.now();
+            h.lastError = errorMessage;
+        }
+
+        localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+    } catch {
+        // Health tracking must never break a fetch
+    }
+}
+
+function isCoolingDown(h) {
+    return !!h && h.consecutiveFailures >= FAILURE_STREAK_LIMIT &&
+        (Date.now() - (h.lastFailure || 0)) < COOLDOWN_MS;
+}
+
+/**
+ * Score in [0, 1]; higher is better. Laplace-smoothed success rate,
+ * nudged down by latency and zeroed while a failing proxy is cooling down.
+ */
+function scoreProxy(h) {
+    if (!h) return 0.5; // Untested proxies sit in the middle
+    if (isCoolingDown(h)) return 0;
+
+    const successRate = (h.success + 1) / (h.calls + 2);
+    const avgLatency = h.success > 0 ? h.totalLatency / h.success : DEFAULT_TIMEOUT_MS / 2;
+    const latencyPenalty = Math.min(avgLatency / DEFAULT_TIMEOUT_MS, 1) * 0.2;
+
+    return Math.max(0, successRate - latencyPenalty);
+}
+
+/**
+ * Proxies in the order they will be tried, with health stats for display.
+ * The self-hosted proxy always goes first when configured.
+ * @returns {Array<{id: string, name: string, score: number, successRate: number, avgLatency: number, calls: number, lastError: string|null, coolingDown: boolean}>}
+ */
+export function getProxies() {
+    const health = loadHealth();
+    const custom = getCustomProxy();
+
+    const ranked = BUILT_IN_PROXIES
+        .map(proxy => ({ proxy, score: scoreProxy(health[proxy.id]) }))
+        .sort((a, b) => b.score - a.score);
+
+    if (custom) ranked.unshift({ proxy: custom, score: scoreProxy(health.custom) });
+
+    return ranked.map(({ proxy, score }) => {
+        const h = health[proxy.id];
+        return {
+            ...proxy,
+            score,
+            successRate: h && h.calls > 0 ? h.success / h.calls : null,
+            avgLatency: h && h.success > 0 ? Math.round(h.totalLatency / h.success) : null,
+            calls: h?.calls || 0,
+            lastError: h?.lastError || null,
+            coolingDown: isCoolingDown(h)
+        };
+    });
+}
+
+/**
+ * Clear all recorded proxy health
+ */
+export function resetProxyHealth() {
+    try {
+        localStorage.removeItem(HEALTH_KEY);
+    } catch {
+        // ignore
+    }
+}
+
+// ============================================
+// FETCHING
+// ============================================
+
+/**
+ * fetch() with an AbortController timeout
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(id);
+    }
+}
+
+/**
+ * @typedef {Object} ProxyResponse
+ * @property {any} body - Decoded body, null when not modified
+ * @property {number} status
+ * @property {boolean} notModified - Target answered 304 to a conditional request
+ * @property {string|null} etag - Only when the proxy exposes the header
+ * @property {string|null} lastModified - Only when the proxy exposes the header
+ */
+
+function toProxyResponse(response, body) {
+    return {
+        body,
+        status: response.status,
+        notModified: response.status === 304,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+    };
+}
+
+/**
+ * Fetch a third-party URL through the proxy rotation.
+ *
+ * @param {string} targetUrl - The URL to fetch
+ * @param {Object} [options]
+ * @param {'text'|'json'} [options.as='text'] - How to decode the body
+ * @param {boolean} [options.tryDirect=false] - Attempt a direct (non-proxied) request first
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (defaults to settings.proxy.timeoutMs)
+ * @param {(body: any) => boolean} [options.validate] - Reject bodies that are proxy error pages
+ * @param {Object<string, string>} [options.headers] - Request headers; only sent on direct
+ *   requests and through proxies that forward them
+ * @param {boolean} [options.withMeta=false] - Resolve to a {@link ProxyResponse} instead of the body
+ * @returns {Promise<any>} Decoded body (or ProxyResponse when `withMeta` is set)
+ * @throws {Error} When every proxy fails
+ */
+export async function fetchViaProxy(targetUrl, options = {}) {
+    const {
+        as = 'text',
+        tryDirect = false,
+        timeoutMs = getSettings().proxy?.timeoutMs || DEFAULT_TIMEOUT_MS,
+        validate = null,
+        headers = null,
+        withMeta = false
+    } = options;
+
+    const decode = (text) => (as === 'json' ? JSON.parse(text) : text);
+    const requestOptions = (forwardsHeaders) => (headers && forwardsHeaders ? { headers } : {});
+    const result = (response, body) => (withMeta ? toProxyResponse(response, body) : body);
+
+    if (tryDirect) {
+        try {
+            const response = await fetchWithTimeout(targetUrl, requestOptions(true), timeoutMs);
+            if (response.status === 304 && withMeta) return result(response, null);
+            if (response.ok) {
+                const body = decode(await response.text());
+                if (!validate || validate(body)) return result(response, body);
+            }
+        } catch {
+            // Direct requests fail on CORS routinely; fall through to proxies
+        }
+    }
+
+    // Skip parked proxies, unless every proxy is parked (better a long shot than nothing)
+    const proxies = getProxies();
+    const available = proxies.filter(p => !p.coolingDown);
+
+    const errors = [];
+    for (const proxy of (available.length > 0 ? available : proxies)) {
+        const started = Date.now();
+        try {
+            const response = await fetchWithTimeout(proxy.build(targetUrl), requestOptions(proxy.forwardsHeaders), timeoutMs);
+            if (response.status === 304 && withMeta) {
+                recordResult(proxy.id, true, Date.now() - started);
+                return result(response, null);
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const text = proxy.unwrap ? await proxy.unwrap(response) : await response.text();
+            const body = decode(text);
+            if (validate && !validate(body)) throw new Error('Unexpected response body');
+
+            recordResult(proxy.id, true, Date.now() - started);
+            return result(response, body);
+        } catch (e) {
+            const message = e.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : e.message;
+            recordResult(proxy.id, false, Date.now() - started, message);
+            errors.push(`${proxy.name}: ${message}`);
+            console.warn(`[Proxy] ${proxy.name} failed for ${targetUrl}: ${message}`);
+        }
+    }
+
+    throw new Error(`All proxies failed for ${targetUrl} (${errors.join('; ') || 'none available'})`);
+}
+
+/**
+ * rss2json conversion endpoint (feed → JSON), used as a last-resort feed fallback
+ */
+export function getRss2JsonUrl(feedUrl) {
+    return `${RSS2JSON_BASE}${encodeURIComponent(feedUrl)}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Ranking Comparison Service
+ * Ranks the same stored items for a section under each ranking mode so the
+ * results can be compared side by side. Nothing is fetched: the input is
+ * exactly what the last refresh saved to the article store, and each column
+ * runs in the scoring sandbox so it neither reads nor writes the persisted
+ * breaking-news detector and novelty corpus.
+ */
+
+import { rankAndFilter } from './rssAggregator';
+import { getStoredSection } from './articleStore';
+import { getSettings } from '../utils/storage';
+import { withScoringSandbox } from '../utils/scoringSandbox';
+
+/**
+ * @typedef {Object} RankingVariant
+ * @property {string} key
+ * @property {string} label
+ * @property {string} description
+ * @property {Object} settings - Applied over the user's settings for this column
+ */
+
+/** @type {RankingVariant[]} */
+export const RANKING_VARIANTS = [
+    {
+        key: 'legacy',
+        label: 'Legacy',
+        description: 'Newest first (rankingMode: legacy)',
+        settings: { rankingMode: 'legacy' }
+    },
+    {
+        key: 'classic',
+        label: 'Classic score',
+        description: 'Freshness, source and keywords only (enableNewScoring off)',
+        settings: { rankingMode: 'smart', enableNewScoring: false }
+    },
+    {
+        key: 'smart',
+        label: 'Smart',
+        description: '9-factor model with your weights (enableNewScoring on)',
+        settings: { rankingMode: 'smart', enableNewScoring: true }
+    }
+];
+
+/**
+ * @param {string} section
+ * @param {number} [limit]
+ * @returns {Promise<{ total: number, fetchedAt: number|null, columns: Array<{ key: string, label: string, description: string, items: Object[] }> }>}
+ */
+export async function compareRankings(section, limit = 15) {
+    const { items, fetchedAt } = await getStoredSection(section);
+    const settings = getSettings();
+
+    const columns = [];
+    for (const variant of RANKING_VARIANTS) {
+        const variantSettings = { ...settings, ...variant.settings };
+        columns.push({
+            key: variant.key,
+            label: variant.label,
+            description: variant.description,
+            items: await withScoringSandbox(variantSettings, () =>
+                rankAndFilter(items, section, limit, settings.newsSources, variantSettings))
+        });
+    }
+
+    return { total: items.length, fetchedAt, columns };
+}
+
+/**
+ * Position of each story (by id) in a column, 0-based
+ * @param {Object[]} items
+ * @returns {Map<string, number>}
+ */
+export function getPositions(items) {
+    return new Map(items.map((item, index) => [item.id, index]));
+}
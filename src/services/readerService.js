@@ -0,0 +1,75 @@
+/**
+ * Reader Service
+ * Fetches an article page through the proxy layer, extracts the readable
+ * text and caches it, so articles can be read in-app (and offline) and the
+ * full text can feed the scorers and sentiment analysis on later refreshes.
+ */
+
+import { fetchViaProxy } from './proxyRegistry';
+import { getReaderContent, saveReaderContent, patchArticle } from './articleStore';
+import { extractArticle } from '../utils/readability';
+import { analyzeArticleSentiment } from '../utils/sentimentAnalyzer';
+
+// Full text kept on the stored article for scoring; the reader cache keeps everything
+const STORED_TEXT_CHARS = 4000;
+
+// Reader extraction needs more time than a feed fetch: article pages are heavy
+const READER_TIMEOUT_MS = 15000;
+
+const looksLikeHtml = (body) => typeof body === 'string' && /<(html|body|article|p)[\s>]/i.test(body);
+
+/**
+ * @typedef {import('../utils/readability').ExtractedArticle & { url: string, extractedAt: number, fromCache: boolean }} ReaderArticle
+ */
+
+/**
+ * Reader view content for a news item: cached extraction if present, otherwise
+ * fetched and extracted now.
+ * @param {Object} item - NewsItem (needs url; id lets the stored article be enriched)
+ * @returns {Promise<ReaderArticle>}
+ * @throws {Error} When the page cannot be fetched or has no readable article
+ */
+export async function loadReaderArticle(item) {
+    const url = item.url || item.link;
+    if (!url) throw new Error('Article has no link');
+
+    const cached = await getReaderContent(url);
+    if (cached) return { ...cached, fromCache: true };
+
+    const html = await fetchViaProxy(url, { validate: looksLikeHtml, timeoutMs: READER_TIMEOUT_MS });
+    const extracted = extractArticle(html, url);
+    if (!extracted) throw new Error('Could not find the article text on this page');
+
+    const record = { url, articleId: item.id || null, ...extracted };
+    await saveReaderContent(record);
+    if (item.id) await enrichStoredArticle(item, extracted);
+
+    return { ...record, extractedAt: Date.now(), fromCache: false };
+}
+
+/**
+ * Copies the extracted text onto the stored article so the next ranking pass
+ * scores it on the real body rather than the RSS teaser.
+ */
+async function enrichStoredArticle(item, extracted) {
+    const patch = {
+        fullText: extracted.text.slice(0, STORED_TEXT_CHARS),
+        wordCount: extracted.wordCount
+    };
+
+    if (!item.imageUrl && extracted.leadImage) patch.imageUrl = extracted.leadImage;
+    if (extracted.byline) patch.byline = extracted.byline;
+
+    // Sentiment is only tracked on finance stories (see normalizeItem); refine it where present
+    if (item.sentiment) {
+        const sentiment = analyzeArticleSentiment(item.title || item.headline, patch.fullText);
+        patch.sentiment = {
+            label: sentiment.label,
+            comparative: sentiment.comparative,
+            titleSentiment: sentiment.titleSentiment,
+            descriptionSentiment: sentiment.descriptionSentiment
+        };
+    }
+
+    await patchArticle(item.id, patch);
+}
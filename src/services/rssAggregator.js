@@ -16,9 +16,17 @@ import { calculateNoveltyScore } from '../utils/noveltyScorer.js';
 import { calculateCurrencyScore } from '../utils/currencyScorer.js';
 import { calculateHumanInterestScore } from '../utils/humanInterestScorer.js';
 import { calculateVisualScore } from '../utils/visualScorer.js';
-import { classifySection } from '../utils/sectionClassifier.js';
-
-const RSS_PROXY_BASE = "https://api.rss2json.com/v1/api.json?rss_url=";
+import { classifyArticle } from '../utils/sectionClassifier.js';
+import { getSectionKeywords } from '../utils/sectionRegistry.js';
+import { parseFeed, looksLikeFeed } from '../utils/feedParser.js';
+import { fetchViaProxy, fetchWithTimeout, getRss2JsonUrl } from './proxyRegistry';
+import { recordFeedResult, isFeedDisabled } from './feedHealthService';
+import { getStoredSection, mergeSectionArticles, getStoreStats, clearArticleStore } from './articleStore';
+import { getPollDecision, getValidators, recordPollResult, resetFeedPolling } from './feedPollingService';
+import { getCachedOgImage } from './imageEnrichmentService';
+import { getScoringWeights, getSectionPriority, getDiversityConfig, weightMultiplier } from '../utils/scoringWeights.js';
+import { diversifyRanking } from '../utils/diversityRanker.js';
+import { getPersonalMultiplier } from './personalizationService';
 
 /**
  * @typedef {Object} NewsItem
@@ -85,6 +93,9 @@ const SECTION_FEEDS = {
     ]
 };
 
+// Custom feeds saved before section assignment existed land here
+const DEFAULT_CUSTOM_SECTION = 'world';
+
 const SETTINGS_MAPPING = {
     bbc: "BBC",
     ndtv: "NDTV",
@@ -117,8 +128,6 @@ const KEYWORDS = [
 
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-const memoryCache = new Map();
-
 /* ---------- Utility Functions (Moved to Top) ---------- */
 
 /**
@@ -226,63 +235,109 @@ function generateCriticsOneLiner(title, description, source) {
     return null;
 }
 
-export function computeImpactScore(item, section) {
+/**
+ * Text the scorers read: the RSS description, or the lede of the reader-mode
+ * full text when the description is only a short teaser.
+ */
+function getScoringText(item) {
+    const description = item.description || '';
+    if (!item.fullText || description.length >= 200) return description;
+    return item.fullText.slice(0, 600);
+}
+
+/**
+ * @typedef {Object} ScoreBreakdown
+ * @property {'smart'|'classic'} model - 9-factor scoring, or the original additive model
+ * @property {{ freshness: number, source: number, keyword: number, sentiment: number }} points - Additive parts of the base score
+ * @property {number} base - Sum of points
+ * @property {Object<string, number>} multipliers - Weighted multipliers (impact, proximity, novelty, currency, humanInterest, visual)
+ * @property {number} sectionPriority
+ * @property {number} breaking
+ * @property {number} total
+ */
+
+/**
+ * Scores an item and records how each factor contributed on `item.scoreBreakdown`.
+ * Constants come from settings.scoring (see utils/scoringWeights).
+ * @param {Object} item
+ * @param {string} section
+ * @param {Object} [settings] - Defaults to the stored settings
+ */
+export function computeImpactScore(item, section, settings = getSettings()) {
+    const weights = getScoringWeights(settings);
+
     // 1. Freshness Decay (Linear)
-    // 24 hours = 0 score. 0 hours = 1 score.
+    // 26 hours = 0 score. 0 hours = full weight.
     const ageInHours = (Date.now() - item.publishedAt) / (1000 * 60 * 60);
-    const freshness = Math.max(0, (26 - ageInHours) / 26) * 3; // Boost freshness importance
+    const freshness = Math.max(0, (26 - ageInHours) / 26) * weights.freshness;
 
     // 2. Source Weight and Category Relevance (NEW)
     const sourceScore = calculateSourceScore(item.source);
     const categoryWeight = getSourceWeightForCategory(item.source, section);
     // Combined source component, scaled up
-    const sourceComponent = sourceScore * categoryWeight * 5;
+    const sourceComponent = sourceScore * categoryWeight * weights.source;
 
     // 3. Keyword Context Boost
-    const keywordBoost = checkKeywords(item.title, item.description) ? 2 : 0;
+    const scoringText = getScoringText(item);
+    const keywordBoost = checkKeywords(item.title, scoringText) ? weights.keyword : 0;
 
     // 4. Section Priority
-    const sectionPriority = section === "world" ? 1.5 : section === "business" ? 1.2 : 1;
+    const sectionPriority = getSectionPriority(section, settings);
 
     // 5. Sentiment Boost
     let sentimentBoost = 0;
     if (item.sentiment) {
-        if (item.sentiment.label === 'positive') sentimentBoost = 0.5;
-        else if (item.sentiment.label === 'negative') sentimentBoost = 0.3;
+        if (item.sentiment.label === 'positive') sentimentBoost = weights.sentimentPositive;
+        else if (item.sentiment.label === 'negative') sentimentBoost = weights.sentimentNegative;
     }
 
     // Breaking News Detection (Phase 5)
     const breakingResult = breakingDetector.checkBreakingNews(item);
     item.isBreaking = breakingResult.isBreaking;
     item.breakingScore = breakingResult.breakingScore;
-    const breakingBoost = breakingResult.multiplier;
+    item.breakingTier = breakingResult.tier;
+    const breakingBoost = weightMultiplier(breakingResult.multiplier, weights.breaking);
+
+    // Base Score (Sum of additive components)
+    const baseScore = freshness + sourceComponent + keywordBoost + sentimentBoost;
+    const points = { freshness, source: sourceComponent, keyword: keywordBoost, sentiment: sentimentBoost };
 
     // --- NEW SCORING LOGIC CHECK ---
-    const settings = getSettings();
     if (settings.enableNewScoring === false) {
         // ORIGINAL SCORING (Status Quo)
-        return (freshness + sourceComponent + keywordBoost + sentimentBoost) * sectionPriority * breakingBoost;
+        const total = baseScore * sectionPriority * breakingBoost;
+        item.scoreBreakdown = {
+            model: 'classic', points, base: baseScore, multipliers: {},
+            sectionPriority, breaking: breakingBoost, total
+        };
+        return total;
     }
 
     // --- NEW SCORING LOGIC (9-Factor) ---
-    // Calculate new multipliers
-    const impactMultiplier = calculateImpactScore(item.title, item.description);
-    const proximityMultiplier = calculateProximityScore(item.title, item.description);
-    const noveltyMultiplier = calculateNoveltyScore(item.title, item.description, section);
-    // Note: passing null for keywords array as it's not currently extracted in normalizeItem
-    const currencyMultiplier = calculateCurrencyScore(item.title, null);
-    const humanInterestMultiplier = calculateHumanInterestScore(item.title, item.description);
-    const visualMultiplier = calculateVisualScore(item.imageUrl);
-
-    // Base Score (Sum of additive components)
-    const baseScore = freshness + sourceComponent + keywordBoost + sentimentBoost;
+    // Calculate new multipliers, each scaled by its user weight
+    const multipliers = {
+        impact: weightMultiplier(calculateImpactScore(item.title, scoringText), weights.impact),
+        proximity: weightMultiplier(calculateProximityScore(item.title, scoringText), weights.proximity),
+        novelty: weightMultiplier(calculateNoveltyScore(item.title, scoringText, section, item.id), weights.novelty),
+        // Note: passing null for keywords array as it's not currently extracted in normalizeItem
+        currency: weightMultiplier(calculateCurrencyScore(item.title, null), weights.currency),
+        humanInterest: weightMultiplier(calculateHumanInterestScore(item.title, scoringText), weights.humanInterest),
+        visual: weightMultiplier(calculateVisualScore(item.imageUrl), weights.visual),
+        personal: settings.enablePersonalization === false
+            ? 1
+            : weightMultiplier(getPersonalMultiplier(item, section), weights.personal)
+    };
 
     // Multipliers (Product of multiplicative components)
-    const multipliers = impactMultiplier * proximityMultiplier * noveltyMultiplier *
-        currencyMultiplier * humanInterestMultiplier * visualMultiplier;
+    const multiplierProduct = Object.values(multipliers).reduce((product, m) => product * m, 1);
 
     // Final Calculation with multipliers
-    const total = baseScore * multipliers * sectionPriority * breakingBoost;
+    const total = baseScore * multiplierProduct * sectionPriority * breakingBoost;
+
+    item.scoreBreakdown = {
+        model: 'smart', points, base: baseScore, multipliers,
+        sectionPriority, breaking: breakingBoost, total
+    };
 
     return total;
 }
@@ -307,6 +362,90 @@ function isSourceAllowed(sourceName, allowedSources) {
 
 /* ---------- Public API ---------- */
 
+/**
+ * Feed URLs for a section: built-in feeds plus the user's custom feeds assigned to it.
+ * @param {string} section
+ * @param {Object} [settings]
+ * @returns {string[]}
+ */
+export function getSectionFeeds(section, settings = getSettings()) {
+    const builtIn = SECTION_FEEDS[section] || [];
+    const custom = getCustomFeedUrls(section, settings);
+    return [...new Set([...builtIn, ...custom])];
+}
+
+/**
+ * Every feed the app knows about, grouped by section: built-in SECTION_FEEDS plus
+ * custom feeds, each flagged with whether it is currently enabled.
+ * Used for OPML export.
+ * @param {Object} [settings]
+ * @returns {Array<{ section: string, feeds: Array<{ url: string, title: string, custom: boolean, enabled: boolean }> }>}
+ */
+export function getFeedCatalog(settings = getSettings()) {
+    const sections = [...new Set([
+        ...Object.keys(SECTION_FEEDS),
+        ...(settings.customFeeds || []).map(feed => feed.section || DEFAULT_CUSTOM_SECTION)
+    ])];
+
+    return sections
+        .map(section => {
+            const builtIn = SECTION_FEEDS[section] || [];
+            const custom = (settings.customFeeds || [])
+                .filter(feed => feed.url && (feed.section || DEFAULT_CUSTOM_SECTION) === section);
+
+            const feeds = [
+                ...builtIn.map(url => ({ url, title: '', custom: false })),
+                ...custom
+                    .filter(feed => !builtIn.includes(feed.url))
+                    .map(feed => ({ url: feed.url, title: feed.title || '', custom: true }))
+            ].map(feed => ({ ...feed, enabled: !isFeedDisabled(feed.url, settings) }));
+
+            return { section, feeds };
+        })
+        .filter(group => group.feeds.length > 0);
+}
+
+function getCustomFeedUrls(section, settings) {
+    return (settings.customFeeds || [])
+        .filter(feed => feed.url && (feed.section || DEFAULT_CUSTOM_SECTION) === section)
+        .map(feed => feed.url);
+}
+
+/**
+ * Settings-derived inputs for classifying a feed's items, read once per feed
+ * rather than once per item.
+ * Items from feeds the user assigned to a user-defined section stay pinned there;
+ * that section's keywords only pull in matching articles from other feeds.
+ * @returns {{ keywordMap: Object<string, string[]>, userSections: Set<string> }}
+ */
+function getClassificationContext(settings = getSettings()) {
+    return {
+        keywordMap: getSectionKeywords(settings),
+        userSections: new Set(Object.keys(settings.sections || {}).filter(key => settings.sections[key]?.custom === true))
+    };
+}
+
+// Share of the entertainment list held for the user's own feeds
+const CUSTOM_FEED_SHARE = 0.3;
+
+/**
+ * Built-in entertainment mix with the user's custom-feed items spread through it.
+ * Custom items get up to CUSTOM_FEED_SHARE of `limit` (more when the built-in
+ * service comes up short) so a full built-in list can't crowd them out.
+ */
+function interleaveCustomItems(builtIn, custom, limit) {
+    const reserved = Math.min(custom.length, Math.max(1, Math.round(limit * CUSTOM_FEED_SHARE)));
+    const builtInCount = Math.min(builtIn.length, limit - reserved);
+    const customCount = Math.min(custom.length, limit - builtInCount);
+
+    const picked = builtIn.slice(0, builtInCount);
+    const step = (builtInCount + customCount) / (customCount + 1);
+    custom.slice(0, customCount).forEach((item, i) => {
+        picked.splice(Math.round(step * (i + 1)), 0, item);
+    });
+    return picked;
+}
+
 /**
  * Fetches news for a given section.
  */
@@ -314,20 +453,20 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
     // Optimization: If limit is 0, don't fetch anything
     if (limit === 0) return [];
 
-    const cacheKey = section;
     let items = [];
 
     // Check if cache is enabled in settings (Phase 6)
     const settings = getSettings();
     const cacheEnabled = settings.enableCache !== false; // Default to true
 
-    // Check cache first if enabled
+    // Check the persistent article store first if enabled
+    let stored = { items: [], fetchedAt: null };
     if (cacheEnabled) {
-        const cached = memoryCache.get(cacheKey);
-        if (cached && (Date.now() - cached.timestamp) < CACHE_TTL_MS) {
-            const ageSeconds = Math.round((Date.now() - cached.timestamp) / 1000);
+        stored = await getStoredSection(section);
+        if (stored.fetchedAt && (Date.now() - stored.fetchedAt) < CACHE_TTL_MS) {
+            const ageSeconds = Math.round((Date.now() - stored.fetchedAt) / 1000);
             console.log(`[RSS] ✅ Cache HIT for ${section} (age: ${ageSeconds}s)`);
-            return rankAndFilter(cached.data, section, limit, allowedSources);
+            return rankAndFilter(stored.items, section, limit, allowedSources);
         }
         console.log(`[RSS] ⚠️ Cache MISS for ${section} - Fetching fresh data`);
     } else {
@@ -342,6 +481,20 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
             const entertainmentSettings = settings?.entertainment || {};
             const articles = await fetchAllEntertainment(entertainmentSettings);
             console.log(`[RSS] Entertainment: Got ${articles.length} articles with distribution`);
+
+            // Custom entertainment feeds are ranked on their own and get reserved slots in the mix
+            const customUrls = getCustomFeedUrls(section, settings);
+            if (customUrls.length > 0) {
+                const customResults = await Promise.allSettled(
+                    customUrls.map(url => fetchAndParseFeed(url, section))
+                );
+                const customItems = customResults
+                    .filter(result => result.status === 'fulfilled')
+                    .flatMap(result => result.value);
+                const rankedCustom = await rankAndFilter(customItems, section, limit, allowedSources);
+                return interleaveCustomItems(articles, rankedCustom, limit);
+            }
+
             return articles.slice(0, limit);
         } catch (error) {
             console.error('[RSS] Entertainment service failed:', error);
@@ -349,7 +502,7 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
         }
     }
 
-    const feeds = SECTION_FEEDS[section] || [];
+    const feeds = getSectionFeeds(section, settings);
 
     if (feeds.length === 0) {
         console.warn(`[RSS] No feeds defined for section: ${section}`);
@@ -359,9 +512,13 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
     try {
         console.log(`[RSS] Feeds for ${section}:`, feeds);
 
+        // Conditional polling only once the store holds this section's earlier items
+        // (never when IndexedDB is unavailable, since nothing would be kept)
+        const conditional = cacheEnabled && stored.fetchedAt !== null;
+
         // Track failures per feed
         const results = await Promise.allSettled(
-            feeds.map(url => fetchAndParseFeed(url, section))
+            feeds.map(url => fetchAndParseFeed(url, section, { conditional }))
         );
 
         const successfulResults = [];
@@ -389,17 +546,19 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
             totalItems: items.length
         });
 
-        // Only cache if enabled (Phase 6)
-        const settings = getSettings();
-        if (settings.enableCache !== false) {
-            memoryCache.set(cacheKey, {
-                timestamp: Date.now(),
-                data: items
-            });
-            console.log(`[RSS] 💾 Cached ${items.length} items for ${section}`);
+        // Only cache if enabled (Phase 6). New items are merged into the stored set;
+        // when no feed had anything new (skipped, unchanged or failed), the stored set stands.
+        if (cacheEnabled) {
+            if (items.length > 0) {
+                const fetchedCount = items.length;
+                items = await mergeSectionArticles(section, items);
+                console.log(`[RSS] 💾 Stored ${fetchedCount} items for ${section} (${items.length} in store)`);
+            } else if (stored.items.length > 0) {
+                console.log(`[RSS] No new items for ${section} - using ${stored.items.length} stored items`);
+                items = stored.items;
+            }
         }
 
-
     } catch (error) {
         console.error(`[RSS] Unexpected error fetching section ${section}:`, {
             errorMessage: error.message,
@@ -424,113 +583,179 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
 
 /* ---------- Core Logic ---------- */
 
-export async function fetchAndParseFeed(feedUrl, section) {
-    try {
-        // Strategy 1: RSS2JSON
-        const response = await fetch(`${RSS_PROXY_BASE}${encodeURIComponent(feedUrl)}`);
-
-        if (response.ok) {
-            const data = await response.json();
-            if (data.status === 'ok') {
-                const feedSource = data.feed?.title || "Unknown Source";
-                const items = (data.items || []).map(item => normalizeItem(item, feedSource, section));
-                console.log(`[RSS] rss2json success for ${feedUrl}: ${items.length} items`);
-                return items;
-            }
-        }
+/**
+ * Fetches one feed and normalizes its items, recording feed health.
+ * @param {string} feedUrl
+ * @param {string} section
+ * @param {Object} [options]
+ * @param {boolean} [options.conditional=false] - Honour the feed's polling schedule and
+ *   validators: returns [] when the feed is not due, backing off, or unchanged
+ * @returns {Promise<NewsItem[]>}
+ */
+export async function fetchAndParseFeed(feedUrl, section, { conditional = false } = {}) {
+    if (isFeedDisabled(feedUrl, getSettings())) {
+        console.log(`[RSS] Skipping disabled feed ${feedUrl}`);
+        return [];
+    }
 
-        throw new Error('RSS2JSON Failed or returned error status');
+    // Skipping and conditional requests return nothing for unchanged feeds, so only
+    // callers that keep earlier items (the article store) may opt in
+    if (conditional) {
+        const decision = getPollDecision(feedUrl, section);
+        if (!decision.due) {
+            const inMins = Math.ceil((decision.nextPollAt - Date.now()) / 60000);
+            console.log(`[RSS] ⏭️ Skipping ${feedUrl} (${decision.reason}, next poll in ${inMins}m)`);
+            return [];
+        }
+    }
 
+    const started = Date.now();
+    try {
+        const { items, changed, validators } = await fetchFeedItems(
+            feedUrl,
+            section,
+            conditional ? getValidators(feedUrl, section) : null
+        );
+        recordFeedResult(feedUrl, {
+            section,
+            success: true,
+            latency: Date.now() - started,
+            itemCount: items.length,
+            notModified: !changed
+        });
+        if (conditional) recordPollResult(feedUrl, section, { success: true, changed, ...validators });
+        return items;
     } catch (error) {
-        console.warn(`[RSS] Primary proxy failed for ${feedUrl}, trying fallback...`);
-        return fetchWithAllOrigins(feedUrl, section);
+        recordFeedResult(feedUrl, {
+            section,
+            success: false,
+            latency: Date.now() - started,
+            error: error.message
+        });
+        if (conditional) recordPollResult(feedUrl, section, { success: false });
+        throw error;
     }
 }
 
-async function fetchWithAllOrigins(feedUrl, section) {
-    const ALL_ORIGINS = `https://api.allorigins.win/get?url=${encodeURIComponent(feedUrl)}`;
+/**
+ * @typedef {Object} FeedFetchResult
+ * @property {NewsItem[]} items - Empty when the feed has not changed
+ * @property {boolean} changed
+ * @property {{ etag?: string|null, lastModified?: string|null, contentHash?: string|null }} validators
+ */
 
-    try {
-        const response = await fetch(ALL_ORIGINS);
-        if (!response.ok) throw new Error('AllOrigins Network Error');
+/**
+ * Hash of a feed's item identities; an unchanged hash means nothing new even
+ * when the proxy hides the ETag/Last-Modified headers
+ */
+function hashFeedItems(rawItems) {
+    return hash(rawItems.map(item => item.link || item.guid || item.title).join('|'));
+}
 
-        const data = await response.json();
-        const xmlString = data.contents;
-        if (!xmlString) throw new Error('AllOrigins empty content');
+/**
+ * @param {string} feedUrl
+ * @param {string} section
+ * @param {{ etag: string|null, lastModified: string|null, contentHash: string|null }|null} validators
+ * @returns {Promise<FeedFetchResult>}
+ */
+async function fetchFeedItems(feedUrl, section, validators) {
+    try {
+        // Strategy 1: Native parsing of the raw feed document
+        return await fetchWithNativeParser(feedUrl, section, validators);
+    } catch (error) {
+        console.warn(`[RSS] Native parse failed for ${feedUrl} (${error.message}), trying rss2json...`);
+        return fetchWithRss2Json(feedUrl, section, validators);
+    }
+}
 
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, "text/xml");
+async function fetchWithNativeParser(feedUrl, section, validators) {
+    const headers = {};
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
 
-        if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
-            throw new Error('XML Parsing Error');
-        }
+    const response = await fetchViaProxy(feedUrl, {
+        validate: looksLikeFeed,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        withMeta: true
+    });
 
-        const items = Array.from(xmlDoc.querySelectorAll("item"));
-        const feedTitle = xmlDoc.querySelector("channel > title")?.textContent || "Unknown Source";
+    if (response.notModified) {
+        console.log(`[RSS] 304 Not Modified for ${feedUrl}`);
+        return { items: [], changed: false, validators: {} };
+    }
 
-        return items.map(node => {
-            const title = node.querySelector("title")?.textContent || "No Title";
-            const link = node.querySelector("link")?.textContent || "";
-            const pubDate = node.querySelector("pubDate")?.textContent || "";
-            const description = node.querySelector("description")?.textContent || "";
-            const sourceNode = node.querySelector("source");
-            const author = node.querySelector("author") || node.querySelector("dc\\:creator");
+    const feed = parseFeed(response.body);
+    const contentHash = hashFeedItems(feed.items);
+    const httpValidators = { etag: response.etag, lastModified: response.lastModified, contentHash };
 
-            const publishedAt = Date.parse(pubDate) || Date.now();
-            let source = feedTitle;
-            if (sourceNode) source = sourceNode.textContent;
-            else if (author) source = author.textContent;
+    if (validators?.contentHash === contentHash) {
+        console.log(`[RSS] No new items in ${feedUrl}`);
+        return { items: [], changed: false, validators: httpValidators };
+    }
 
-            source = cleanSource(source);
-            const summary = cleanDescription(description);
+    const feedSource = feed.title || "Unknown Source";
+    const context = getClassificationContext();
+    const items = feed.items.map(item => normalizeItem(item, feedSource, section, context));
+    console.log(`[RSS] Native ${feed.format} parse success for ${feedUrl}: ${items.length} items`);
+    return { items, changed: true, validators: httpValidators };
+}
 
-            const isFinanceRelated = ['business', 'market'].includes(section) ||
-                /\b(stock|market|shares|trading|sensex|nifty|bank|economy|crypto|ipo|revenue|profit)\b/i.test(title + description);
+async function fetchWithRss2Json(feedUrl, section, validators) {
+    try {
+        const response = await fetchWithTimeout(getRss2JsonUrl(feedUrl));
+        if (!response.ok) throw new Error('RSS2JSON Network Error');
 
-            let sentimentData = null;
-            if (isFinanceRelated) {
-                sentimentData = analyzeArticleSentiment(title, summary);
-            }
+        const data = await response.json();
+        if (data.status !== 'ok') throw new Error('RSS2JSON returned error status');
 
-            return {
-                id: hash(link || title),
-                title: title,
-                headline: title,
-                description: description,
-                summary: summary,
-                link: link,
-                url: link,
-                source: source,
-                publishedAt: publishedAt,
-                fetchedAt: Date.now(),
-                time: new Date(publishedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                impactScore: 0,
-                criticsView: generateCriticsOneLiner(title, summary, source),
-                sentiment: sentimentData
-            };
-        });
+        const rawItems = data.items || [];
+        const contentHash = hashFeedItems(rawItems);
+        if (validators?.contentHash === contentHash) {
+            console.log(`[RSS] No new items in ${feedUrl} (rss2json)`);
+            return { items: [], changed: false, validators: { contentHash } };
+        }
 
+        const feedSource = data.feed?.title || "Unknown Source";
+        const context = getClassificationContext();
+        const items = rawItems.map(item => normalizeItem(item, feedSource, section, context));
+        console.log(`[RSS] rss2json success for ${feedUrl}: ${items.length} items`);
+        return { items, changed: true, validators: { contentHash } };
     } catch (err) {
         console.error(`[RSS] All Fallbacks failed for ${feedUrl}`, err);
         throw err; // Propagate error for tracking
     }
 }
 
-function normalizeItem(item, feedSource, section = 'general') {
+/**
+ * Parsed feed entry → NewsItem (classification, image and sentiment included).
+ * Exported for the scoring regression harness.
+ * @param {Object} item
+ * @param {string} feedSource
+ * @param {string} [section]
+ * @param {{ keywordMap: Object<string, string[]>, userSections: Set<string> }} [context] - From getClassificationContext; pass one per feed
+ */
+export function normalizeItem(item, feedSource, section = 'general', context = getClassificationContext()) {
     const pubDateStr = item.pubDate || item.created || new Date().toISOString();
     const publishedAt = Date.parse(pubDateStr) || Date.now();
 
+    // Prefer the per-item <source> (Google News) over author, then the feed title
     let source = feedSource;
-    if (item.author) source = item.author;
+    if (item.source) source = item.source;
+    else if (item.author) source = item.author;
     source = cleanSource(source);
 
     const articleId = hash(item.link || item.guid || item.title);
-    const description = item.description || "";
+    const description = item.description || item.content || "";
 
-    // Dynamic Section Classification
-    const detectedSection = classifySection(item.title || '', description || '', source);
+    // Dynamic Section Classification (skipped for user-defined sections)
+    const classification = context.userSections.has(section)
+        ? null
+        : classifyArticle(item.title || '', description || '', source, context.keywordMap);
     // If classification found a match, use it. Otherwise, stick to the feed's section.
-    const finalSection = detectedSection || section;
+    const finalSection = classification?.section || section;
+    const secondarySection = classification?.secondary && classification.secondary !== finalSection
+        ? classification.secondary
+        : null;
 
     // NEW - Phase 7: Image Extraction
     let imageUrl = null;
@@ -547,9 +772,10 @@ function normalizeItem(item, feedSource, section = 'general') {
     else if (item['media:content'] && item['media:content'].url) {
         imageUrl = item['media:content'].url;
     }
-    // Method 4: Extract from description HTML
-    else if (description.includes('<img')) {
-        const imgMatch = description.match(/<img[^>]+src="([^">]+)"/);
+    // Method 4: Extract from description / content:encoded HTML
+    else {
+        const html = description.includes('<img') ? description : (item.content || '');
+        const imgMatch = html.match(/<img[^>]+src="([^">]+)"/);
         if (imgMatch) {
             imageUrl = imgMatch[1];
         }
@@ -560,6 +786,11 @@ function normalizeItem(item, feedSource, section = 'general') {
         imageUrl = null; // Reject invalid URLs
     }
 
+    // Method 5: og:image resolved by background enrichment on an earlier refresh
+    if (!imageUrl) {
+        imageUrl = getCachedOgImage(item.link);
+    }
+
     const isFinanceRelated = ['business', 'market'].includes(section) ||
         /\b(stock|market|shares|trading|sensex|nifty|bank|economy|crypto|ipo|revenue|profit)\b/i.test(item.title + description);
 
@@ -582,6 +813,12 @@ function normalizeItem(item, feedSource, section = 'general') {
         time: new Date(publishedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
         impactScore: 0,
         section: finalSection, // Use the classified section
+        secondarySection, // Close runner-up; the article is listed there too
+        classification: classification?.section ? {
+            confidence: classification.confidence,
+            reason: classification.reason,
+            labels: classification.labels.slice(0, 3).map(({ section: key, confidence }) => ({ section: key, confidence }))
+        } : { confidence: 0, reason: `feed section (${classification?.reason || 'user section'})`, labels: [] },
         criticsView: generateCriticsOneLiner(item.title, cleanDescription(description), source),
         sentiment: sentimentData ? {
             label: sentimentData.label,
@@ -593,12 +830,20 @@ function normalizeItem(item, feedSource, section = 'general') {
     };
 }
 
-async function rankAndFilter(items, section, limit, allowedSources) {
+/**
+ * Filter, score, cluster and order a section's items, cut to `limit`.
+ * Exported for the scoring regression harness and the ranking comparison.
+ * @param {Object[]} items
+ * @param {string} section
+ * @param {number} limit
+ * @param {string[]|null} allowedSources
+ * @param {Object} [settings] - Ranks with these instead of the stored settings
+ */
+export async function rankAndFilter(items, section, limit, allowedSources, settings = getSettings()) {
     try {
         const seen = new Set();
         const now = Date.now();
 
-        const settings = getSettings();
         // Use new setting hideOlderThanHours, fallback to legacy freshnessLimitHours
         const limitHours = settings.hideOlderThanHours || settings.freshnessLimitHours || 60;
         const MAX_AGE_MS = limitHours * 60 * 60 * 1000;
@@ -630,11 +875,10 @@ async function rankAndFilter(items, section, limit, allowedSources) {
                 // Use the item's section (which might have been re-classified)
                 // or fallback to the requested section if missing
                 const itemSection = item.section || section;
-                return {
-                    ...item,
-                    section: itemSection,
-                    impactScore: computeImpactScore(item, itemSection)
-                };
+                // Score the copy so the breaking flags and breakdown land on the returned item
+                const scored = { ...item, section: itemSection };
+                scored.impactScore = computeImpactScore(scored, itemSection, settings);
+                return scored;
             })
             .filter(item => {
                 if (seen.has(item.id)) return false;
@@ -645,15 +889,22 @@ async function rankAndFilter(items, section, limit, allowedSources) {
         const clustered = deduplicateAndCluster(preProcessed, 0.75);
 
         // Ranking Mode
+        let ranked = clustered;
         if (settings.rankingMode === 'legacy') {
             clustered.sort((a, b) => b.publishedAt - a.publishedAt);
         } else {
             // Default 'smart'
             clustered.sort((a, b) => b.impactScore - a.impactScore);
+
+            // Spread topics and sources before cutting to size
+            const diversity = getDiversityConfig(section, settings);
+            if (diversity.enabled) {
+                ranked = diversifyRanking(clustered, { limit, spread: diversity.spread, maxPerSource: diversity.maxPerSource });
+            }
         }
 
-        console.log(`[RSS] Final count for ${section}: ${clustered.length} (requested ${limit})`);
-        return clustered.slice(0, limit);
+        console.log(`[RSS] Final count for ${section}: ${ranked.length} (requested ${limit})`);
+        return ranked.slice(0, limit);
 
     } catch (error) {
         console.error(`[RSS] Ranking error for ${section}:`, error);
@@ -663,24 +914,45 @@ async function rankAndFilter(items, section, limit, allowedSources) {
 
 /* ---------- Cache Management API (Phase 6) ---------- */
 
+/**
+ * Ranked items from the persistent store only (no network), regardless of age.
+ * Lets the UI render instantly on a cold start before the first refresh completes.
+ * @returns {Promise<NewsItem[]>}
+ */
+export async function getCachedSectionNews(section, limit = 10, allowedSources = null) {
+    if (limit === 0 || getSettings().enableCache === false) return [];
+
+    const { items } = await getStoredSection(section);
+    if (items.length === 0) return [];
+
+    try {
+        return await rankAndFilter(items, section, limit, allowedSources);
+    } catch {
+        return [];
+    }
+}
+
 /**
  * Get cache statistics for debugging
- * @returns {Object} Cache stats including entries and ages
+ * @returns {Promise<Object>} Cache stats including entries and ages
  */
-export function getCacheStats() {
+export async function getCacheStats() {
+    const { totalArticles, sections } = await getStoreStats();
     const stats = {
-        totalEntries: memoryCache.size,
+        totalEntries: sections.length,
+        totalArticles,
         cacheEnabled: getSettings().enableCache !== false,
         cacheTTL: CACHE_TTL_MS / 1000, // in seconds
         entries: []
     };
 
-    memoryCache.forEach((value, key) => {
-        const ageSeconds = Math.round((Date.now() - value.timestamp) / 1000);
+    sections.forEach(entry => {
+        const ageSeconds = Math.round((Date.now() - entry.fetchedAt) / 1000);
         stats.entries.push({
-            section: key,
+            section: entry.section,
             ageSeconds,
-            itemCount: value.data?.length || 0,
+            itemCount: entry.storedCount,
+            lastFetchCount: entry.itemCount,
             isExpired: ageSeconds > (CACHE_TTL_MS / 1000)
         });
     });
@@ -691,10 +963,13 @@ export function getCacheStats() {
 /**
  * Clear all cached news data
  * Useful when settings change or manual refresh needed
+ * @returns {Promise<number>} Number of stored articles removed
  */
-export function clearNewsCache() {
-    const size = memoryCache.size;
-    memoryCache.clear();
-    console.log(`[RSS] 🗑️ Cleared ${size} cache entries`);
+export async function clearNewsCache() {
+    const size = await clearArticleStore();
+    // Validators describe content that was just deleted. Story timelines
+    // outlive settings edits; only the explicit "clear cache" action drops them.
+    resetFeedPolling();
+    console.log(`[RSS] 🗑️ Cleared ${size} stored articles`);
     return size;
 }
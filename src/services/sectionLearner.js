@@ -0,0 +1,167 @@
+/**
+ * Section Learner
+ * Learns from "move to section" corrections. Each correction credits the
+ * story's entities and title keywords to the section the user chose;
+ * classifyArticle adds that learned evidence when a later headline shares
+ * those terms, so similar stories land in the right section on their own.
+ *
+ * Lives in localStorage next to the personalization model and never
+ * leaves the device.
+ */
+
+import { extractFeatures } from './personalizationService';
+
+const STORAGE_KEY = 'dailyEventAI_sectionLearner';
+const MAX_TERMS = 400;
+
+// Evidence per correction: an entity is a far better hint than a keyword
+const TERM_WEIGHTS = { entity: 2, kw: 0.75 };
+// Corrections beyond this many no longer strengthen a term
+const MAX_TERM_COUNT = 3;
+// Learned evidence for one section, in classifier score points
+const MAX_SECTION_SCORE = 6;
+
+let model = null;
+let isolatedBackup = null;
+
+/* ---------- Model storage ---------- */
+
+function emptyModel() {
+    return { terms: {}, corrections: 0, updatedAt: null };
+}
+
+function loadModel() {
+    if (model) return model;
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        model = stored ? JSON.parse(stored) : emptyModel();
+    } catch {
+        model = emptyModel();
+    }
+    return model;
+}
+
+function saveModel() {
+    if (isolatedBackup) return;
+    try {
+        const entries = Object.entries(model.terms);
+        if (entries.length > MAX_TERMS) {
+            const weight = (sections) => Object.values(sections).reduce((sum, count) => sum + count, 0);
+            model.terms = Object.fromEntries(entries
+                .sort((a, b) => weight(b[1]) - weight(a[1]))
+                .slice(0, MAX_TERMS));
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+    } catch (error) {
+        console.error('[SectionLearner] Error saving model:', error);
+    }
+}
+
+/**
+ * Entity and keyword features of a headline, e.g. "entity:Kamal Haasan", "kw:election"
+ */
+function extractTerms(title) {
+    return extractFeatures({ title }).filter(feature => feature.startsWith('entity:') || feature.startsWith('kw:'));
+}
+
+function termKind(term) {
+    return term.slice(0, term.indexOf(':'));
+}
+
+/* ---------- Learning ---------- */
+
+/**
+ * The user moved a story out of `item.section` into `section`
+ * @param {Object} item - NewsItem as it was shown
+ * @param {string} section
+ */
+export function recordSectionCorrection(item, section) {
+    if (!item || !section || item.section === section) return;
+    loadModel();
+
+    extractTerms(item.title || item.headline).forEach(term => {
+        const counts = model.terms[term] || {};
+        counts[section] = (counts[section] || 0) + 1;
+        // Undo earlier teaching towards the section it was moved out of
+        if (counts[item.section]) {
+            counts[item.section] -= 1;
+            if (counts[item.section] <= 0) delete counts[item.section];
+        }
+        model.terms[term] = counts;
+    });
+
+    model.corrections += 1;
+    model.updatedAt = Date.now();
+    saveModel();
+    console.log(`[SectionLearner] "${(item.title || '').substring(0, 40)}..." ${item.section} → ${section}`);
+}
+
+/* ---------- Classification ---------- */
+
+/**
+ * Learned section evidence for a headline, for classifyArticle
+ * @param {string} title
+ * @returns {Array<{ section: string, score: number, terms: string[] }>}
+ */
+export function getLearnedEvidence(title) {
+    loadModel();
+    if (model.corrections === 0) return [];
+
+    const evidence = {};
+    extractTerms(title).forEach(term => {
+        Object.entries(model.terms[term] || {}).forEach(([section, count]) => {
+            const entry = evidence[section] || (evidence[section] = { section, score: 0, terms: [] });
+            entry.score += Math.min(count, MAX_TERM_COUNT) * (TERM_WEIGHTS[termKind(term)] || 0);
+            entry.terms.push(term.slice(term.indexOf(':') + 1));
+        });
+    });
+
+    return Object.values(evidence)
+        .map(entry => ({ ...entry, score: Math.min(entry.score, MAX_SECTION_SCORE) }))
+        .filter(entry => entry.score > 0);
+}
+
+/* ---------- Inspection ---------- */
+
+/**
+ * What the learner has picked up, for the settings screen
+ * @param {number} [limit]
+ * @returns {{ corrections: number, rules: Array<{ kind: string, name: string, section: string, count: number }> }}
+ */
+export function getSectionLearnerSummary(limit = 12) {
+    loadModel();
+    const rules = Object.entries(model.terms)
+        .flatMap(([term, counts]) => Object.entries(counts).map(([section, count]) => ({
+            kind: termKind(term) === 'kw' ? 'keyword' : 'entity',
+            name: term.slice(term.indexOf(':') + 1),
+            section,
+            count
+        })))
+        .sort((a, b) => b.count - a.count || (a.kind === 'entity' ? -1 : 1));
+
+    return { corrections: model.corrections, rules: rules.slice(0, limit) };
+}
+
+/**
+ * Forget every correction
+ */
+export function resetSectionLearner() {
+    model = emptyModel();
+    saveModel();
+    console.log('[SectionLearner] Model reset');
+}
+
+/**
+ * Classify without learned evidence (true) or with it (false).
+ * Keeps the regression harness independent of the user's corrections.
+ * @param {boolean} isolated
+ */
+export function isolateSectionLearner(isolated) {
+    if (isolated && !isolatedBackup) {
+        isolatedBackup = loadModel();
+        model = emptyModel();
+    } else if (!isolated && isolatedBackup) {
+        model = isolatedBackup;
+        isolatedBackup = null;
+    }
+}
@@ -221,27 +221,6 @@ export function aggregateWeatherOpinions(opinions) {
     };
 }
 
-// ============================================
-// NEWS CLAIMS (Not Articles)
-// ============================================
-
-/**
- * Normalize article into claims for stability across refreshes
- */
-export function extractClaims(article) {
-    // Simplified claim extraction
-    // In production, this would use NLP
-    return {
-        claimId: `claim_${simpleHash(article.headline)}`,
-        subject: article.subject || 'Unknown',
-        predicate: 'reports',
-        object: article.headline,
-        source: article.source,
-        publishedAt: article.publishedAt,
-        originalArticle: article.id
-    };
-}
-
 // ============================================
 // DRIFT DETECTION
 // ============================================
@@ -0,0 +1,261 @@
+/**
+ * Story Tracker
+ * Gives each clustered story a persistent id that follows it across
+ * refreshes and days, and records how it develops: when it was first seen,
+ * which outlets joined and when, follow-up reports from the same outlet and
+ * how the lead headline changed.
+ *
+ * A refreshed cluster is matched to a known story by shared article ids
+ * first, then by headline similarity against the headlines the story has
+ * carried so far. Stories not seen for RETENTION_MS are forgotten.
+ */
+
+import { SimilarityIndex } from '../utils/similarityIndex';
+
+const STORAGE_KEY = 'dailyEventAI_storyTracker';
+
+const RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+// One refresh tracks ~110 stories; keep a few days of refreshes, not just the last one
+const MAX_STORIES = 600;
+const MAX_EVENTS = 20;
+const MAX_ARTICLES = 40;
+const MAX_HEADLINES = 5;
+
+// Looser than same-refresh dedupe (0.75): headlines get reworded as a story develops
+const MATCH_THRESHOLD = 0.6;
+// Lead headline edits below this similarity count as a new headline
+const HEADLINE_CHANGE_THRESHOLD = 0.85;
+// A story is "developing" once its reports span at least this long
+const DEVELOPING_SPAN_MS = 30 * 60 * 1000;
+
+/**
+ * @typedef {Object} StoryEvent
+ * @property {number} t - When it happened (the report's publish time)
+ * @property {'first'|'source'|'update'|'headline'} type
+ *   first - first report; source - a new outlet joined;
+ *   update - another report from an outlet already covering it;
+ *   headline - the lead headline changed
+ * @property {string} source
+ * @property {string} headline
+ * @property {number} sourceCount - Outlets covering the story after this event
+ */
+
+/**
+ * @typedef {Object} TrackedStory
+ * @property {string} id
+ * @property {string} section
+ * @property {string} headline - Current lead headline
+ * @property {string[]} headlines - Recent lead headlines, newest last (for matching)
+ * @property {string[]} sources
+ * @property {string[]} articles - Member article ids
+ * @property {number} firstSeen
+ * @property {number} lastSeen
+ * @property {StoryEvent[]} timeline
+ */
+
+let state = null;   // { stories: { [id]: TrackedStory }, articleIndex: Map, headlineIndex: SimilarityIndex }
+let idCounter = 0;
+
+/* ---------- Storage ---------- */
+
+function buildIndexes(stories) {
+    const articleIndex = new Map();
+    const headlineIndex = new SimilarityIndex({ threshold: MATCH_THRESHOLD, measure: 'dice' });
+
+    Object.values(stories).forEach(story => {
+        story.articles.forEach(articleId => articleIndex.set(articleId, story.id));
+        story.headlines.forEach((headline, i) => headlineIndex.add(`${story.id}#${i}`, headline, story.id));
+    });
+
+    return { stories, articleIndex, headlineIndex };
+}
+
+function loadState() {
+    if (state) return state;
+    let stories = {};
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) stories = JSON.parse(stored).stories || {};
+    } catch (error) {
+        console.warn('[StoryTracker] Could not load stories:', error.message);
+    }
+    state = buildIndexes(stories);
+    return state;
+}
+
+function saveState(now) {
+    const cutoff = now - RETENTION_MS;
+    const kept = Object.values(state.stories)
+        .filter(story => story.lastSeen >= cutoff)
+        .sort((a, b) => b.lastSeen - a.lastSeen)
+        .slice(0, MAX_STORIES);
+
+    // Rebuild only when something was dropped
+    if (kept.length !== Object.keys(state.stories).length) {
+        state = buildIndexes(Object.fromEntries(kept.map(story => [story.id, story])));
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ stories: state.stories }));
+    } catch (error) {
+        console.warn('[StoryTracker] Could not save stories:', error.message);
+    }
+}
+
+/* ---------- Matching ---------- */
+
+const normalizeHeadline = (headline) => (headline || '').toLowerCase();
+
+function membersOf(item) {
+    if (item.clusterMembers?.length) return item.clusterMembers;
+    return [{ id: item.id, title: item.headline || item.title, source: item.source, publishedAt: item.publishedAt }];
+}
+
+function findStory(item, members) {
+    for (const member of members) {
+        const storyId = state.articleIndex.get(member.id);
+        if (storyId && state.stories[storyId]) return state.stories[storyId];
+    }
+    const match = state.headlineIndex.findSimilar(normalizeHeadline(item.headline || item.title));
+    return match ? state.stories[match.payload] || null : null;
+}
+
+function createStory(item, now) {
+    const id = `story_${now.toString(36)}_${(idCounter++).toString(36)}`;
+    const story = {
+        id,
+        section: item.section,
+        headline: item.headline || item.title,
+        headlines: [],
+        sources: [],
+        articles: [],
+        firstSeen: now,
+        lastSeen: now,
+        timeline: []
+    };
+    state.stories[id] = story;
+    rememberHeadline(story, story.headline);
+    return story;
+}
+
+function rememberHeadline(story, headline) {
+    story.headlines.forEach((_, i) => state.headlineIndex.remove(`${story.id}#${i}`));
+    story.headlines = [...story.headlines, normalizeHeadline(headline)].slice(-MAX_HEADLINES);
+    story.headlines.forEach((text, i) => state.headlineIndex.add(`${story.id}#${i}`, text, story.id));
+}
+
+function pushEvent(story, event) {
+    story.timeline.push(event);
+    story.timeline.sort((a, b) => a.t - b.t);
+    if (story.timeline.length > MAX_EVENTS) {
+        // Always keep the first report
+        story.timeline = [story.timeline[0], ...story.timeline.slice(-(MAX_EVENTS - 1))];
+    }
+}
+
+/**
+ * Folds one refreshed cluster into its story; returns true if anything new was recorded
+ */
+function updateStory(story, item, members, now) {
+    let changed = false;
+    const addedTitles = new Set();
+
+    [...members]
+        .sort((a, b) => a.publishedAt - b.publishedAt)
+        .forEach(member => {
+            if (story.articles.includes(member.id)) return;
+            story.articles = [...story.articles, member.id].slice(-MAX_ARTICLES);
+            state.articleIndex.set(member.id, story.id);
+
+            const isNewSource = !story.sources.includes(member.source);
+            if (isNewSource) story.sources.push(member.source);
+
+            pushEvent(story, {
+                t: member.publishedAt || now,
+                type: story.timeline.length === 0 ? 'first' : isNewSource ? 'source' : 'update',
+                source: member.source,
+                headline: member.title,
+                sourceCount: story.sources.length
+            });
+            addedTitles.add(member.title);
+            changed = true;
+        });
+
+    // Headlines the story already carried don't count again (two sections can
+    // lead with different versions of the same cluster)
+    const headline = item.headline || item.title;
+    const normalized = normalizeHeadline(headline);
+    const isNewHeadline = !story.headlines.includes(normalized) &&
+        state.headlineIndex.similarity(normalizeHeadline(story.headline), normalized) < HEADLINE_CHANGE_THRESHOLD;
+    if (isNewHeadline) {
+        // A lead taken by a report recorded just above needs no second event
+        if (!addedTitles.has(headline)) {
+            pushEvent(story, { t: now, type: 'headline', source: item.source, headline, sourceCount: story.sources.length });
+        }
+        story.headline = headline;
+        rememberHeadline(story, headline);
+        changed = true;
+    }
+
+    story.lastSeen = now;
+    story.section = item.section || story.section;
+    return changed;
+}
+
+/* ---------- Public API ---------- */
+
+/**
+ * Whether a story's reports span long enough to call it developing
+ * @param {TrackedStory} story
+ */
+export function isDeveloping(story) {
+    if (!story || story.timeline.length < 2) return false;
+    return story.timeline[story.timeline.length - 1].t - story.timeline[0].t >= DEVELOPING_SPAN_MS;
+}
+
+/**
+ * Matches refreshed (clustered) items to persistent stories, records what
+ * is new about each, and returns copies carrying the story id.
+ *
+ * @param {Object[]} items - Ranked NewsItems from one refresh
+ * @param {number} [now]
+ * @returns {Object[]} items with storyId, storyUpdates and storyDeveloping set
+ */
+export function trackStories(items, now = Date.now()) {
+    if (!items || items.length === 0) return items;
+    loadState();
+
+    let updated = 0;
+    const tracked = items.map(item => {
+        const members = membersOf(item);
+        const story = findStory(item, members) || createStory(item, now);
+        if (updateStory(story, item, members, now)) updated++;
+
+        return {
+            ...item,
+            storyId: story.id,
+            storyUpdates: story.timeline.length - 1,
+            storyDeveloping: isDeveloping(story)
+        };
+    });
+
+    saveState(now);
+    if (updated > 0) console.log(`[StoryTracker] ${updated} stories updated (${Object.keys(state.stories).length} tracked)`);
+    return tracked;
+}
+
+/**
+ * @param {string} storyId
+ * @returns {TrackedStory|null}
+ */
+export function getStory(storyId) {
+    return loadState().stories[storyId] || null;
+}
+
+/**
+ * Forget every tracked story, for the explicit "clear cached news" action
+ */
+export function clearStoryTracker() {
+    state = buildIndexes({});
+    localStorage.removeItem(STORAGE_KEY);
+}
@@ -3,8 +3,49 @@
  * 1. Multiple sources reporting same story within short timeframe
  * 2. Very recent publication (< 1 hour old)
  * 3. Time-decay scoring formula
+ *
+ * Breaking stories are graded into tiers (developing / breaking / major)
+ * by how many outlets carry them, how authoritative those outlets are
+ * (SOURCE_METRICS credibility), how fast reports are arriving and whether
+ * the headline uses urgent language. Detector state is persisted, so a
+ * reload doesn't forget which outlets already reported a story.
  */
 
+import { SimilarityIndex } from './similarityIndex';
+import { SOURCE_METRICS } from '../data/sourceMetrics';
+import { containsWord } from './wordMatch';
+
+const STORAGE_KEY = 'dailyEventAI_breakingDetector';
+const SAVE_DELAY_MS = 2000;
+
+// Title word overlap above which two headlines are the same story
+const SAME_STORY_THRESHOLD = 0.7;
+
+// Stories older than this are dropped; cleanup runs at most this often
+const MAX_AGE_MINUTES = 120;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Reports arriving within this window count towards velocity
+const VELOCITY_WINDOW_MS = 30 * 60 * 1000;
+const MAX_REPORTS = 20;
+
+/** Tiers in ascending severity */
+export const BREAKING_TIERS = ['developing', 'breaking', 'major'];
+
+// Severity needed for each tier above 'developing' (see calculateSeverity)
+const TIER_THRESHOLDS = { breaking: 2, major: 3.25 };
+const MAJOR_MIN_SOURCES = 3;
+
+// Outlet weight by tier: wire services and national broadcasters count most
+const SOURCE_TIER_WEIGHTS = { 1: 1, 2: 0.75, 3: 0.5 };
+
+// Whole words; `*` allows any ending (see utils/wordMatch)
+const URGENT_KEYWORDS = [
+    'earthquake*', 'tsunami*', 'cyclone*', 'explosion*', 'blast*', 'attack*', 'shooting*',
+    'killed', 'dead', 'dies', 'crash*', 'collapse*', 'evacuat*', 'emergency', 'war',
+    'resign*', 'assassinat*', 'coup', 'hostage*', 'outbreak*', 'lockdown*', 'curfew*'
+];
+
 function normalizeTitle(title) {
     return title
         .toLowerCase()
@@ -13,99 +54,181 @@ function normalizeTitle(title) {
         .trim();
 }
 
+/**
+ * 1 (wire services, global broadcasters) to 3 (local / unknown),
+ * from the outlet's credibility in SOURCE_METRICS
+ */
+export function getSourceTier(sourceName) {
+    const key = Object.keys(SOURCE_METRICS).find(k =>
+        (sourceName || '').toLowerCase().replace(/\s+/g, '').includes(k)
+    ) || 'default';
+
+    const { credibility } = SOURCE_METRICS[key];
+    if (credibility >= 1.85) return 1;
+    if (credibility >= 1.6) return 2;
+    return 3;
+}
+
 export class BreakingNewsDetector {
-    constructor() {
-        this.newsMap = new Map(); // normalizedTitle → { firstSeen, sources, count }
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.storageKey] - Persist state under this localStorage key
+     */
+    constructor({ storageKey = null } = {}) {
+        this.newsMap = new Map(); // normalizedTitle → { firstSeen, sources, count, title, reports, tier }
         this.breaking = new Set();
+        this.index = new SimilarityIndex({ threshold: SAME_STORY_THRESHOLD, measure: 'jaccard' });
+        this.storageKey = storageKey;
+        this.saveTimer = null;
+        this.lastCleanup = 0;
+
+        if (storageKey) this.load();
     }
 
     /**
      * Register article and check if it's breaking news
-     * Returns: { isBreaking, breakingScore, multiplier }
+     * Returns: { isBreaking, breakingScore, multiplier, tier }
      */
     checkBreakingNews(article, currentTime = Date.now()) {
         if (!article || !article.title || !article.publishedAt) {
-            return { isBreaking: false, breakingScore: 0, multiplier: 1.0 };
+            return { isBreaking: false, breakingScore: 0, multiplier: 1.0, tier: null };
+        }
+
+        if (currentTime - this.lastCleanup > CLEANUP_INTERVAL_MS) {
+            this.cleanup(MAX_AGE_MINUTES, currentTime);
         }
 
         const titleNormalized = normalizeTitle(article.title);
         const timeSincePubMinutes = (currentTime - article.publishedAt) / 1000 / 60;
 
+        // Too old to break: cleanup would drop it anyway, so don't register or persist it
+        if (timeSincePubMinutes > MAX_AGE_MINUTES) {
+            return { isBreaking: false, breakingScore: 0, multiplier: 1.0, tier: null };
+        }
+
         let isBreaking = false;
         let breakingScore = 0;
+        let tier = null;
 
         // Check if this article matches an existing breaking story
-        for (const [normalizedTitle, newsData] of this.newsMap.entries()) {
-            const similarity = this.calculateSimilarity(titleNormalized, normalizedTitle);
-
-            // If title similarity > 70%, consider it same story
-            if (similarity > 0.7) {
-                const timeSinceFirstMinutes = (currentTime - newsData.firstSeen) / 1000 / 60;
-
-                // Add new source if not yet reported
-                if (timeSinceFirstMinutes < 60 && !newsData.sources.has(article.source)) {
-                    newsData.sources.add(article.source);
-                    newsData.count++;
-                }
-
-                // Mark as breaking if:
-                // 1. Multiple sources (≥2) reported it
-                // 2. Article is < 60 minutes old
-                if (newsData.count >= 2 && timeSincePubMinutes < 60) {
-                    isBreaking = true;
-
-                    // Time-decay formula: log(N₁ / T)
-                    // N₁ = 60 (reference time in minutes)
-                    // T = time since publication
-                    const N1 = 60;
-                    breakingScore = Math.log(N1 / Math.max(1, timeSincePubMinutes)) || 1.0;
-                    breakingScore = Math.min(breakingScore, 3.0); // Cap at 3x multiplier
-
-                    this.breaking.add(titleNormalized);
-                }
-                break;
+        const match = this.index.findSimilar(titleNormalized);
+        if (match) {
+            const newsData = match.payload;
+            const timeSinceFirstMinutes = (currentTime - newsData.firstSeen) / 1000 / 60;
+
+            // Add new source if not yet reported
+            if (timeSinceFirstMinutes < 60 && !newsData.sources.has(article.source)) {
+                newsData.sources.add(article.source);
+                newsData.count++;
+            }
+            this.recordReport(newsData, article);
+
+            // Mark as breaking if:
+            // 1. Multiple sources (≥2) reported it
+            // 2. Article is < 60 minutes old
+            if (newsData.count >= 2 && timeSincePubMinutes < 60) {
+                isBreaking = true;
+
+                // Time-decay formula: log(N₁ / T)
+                // N₁ = 60 (reference time in minutes)
+                // T = time since publication
+                const N1 = 60;
+                breakingScore = Math.log(N1 / Math.max(1, timeSincePubMinutes)) || 1.0;
+                breakingScore = Math.min(breakingScore, 3.0); // Cap at 3x multiplier
+
+                // A story never drops back a tier while it is tracked
+                tier = this.classifyTier(newsData, currentTime);
+                if (BREAKING_TIERS.indexOf(newsData.tier) > BREAKING_TIERS.indexOf(tier)) tier = newsData.tier;
+                newsData.tier = tier;
+
+                this.breaking.add(titleNormalized);
             }
+            this.scheduleSave();
         }
 
         // Register new story if not found in map
         if (!this.newsMap.has(titleNormalized)) {
-            this.newsMap.set(titleNormalized, {
+            const newsData = {
                 firstSeen: article.publishedAt,
                 sources: new Set([article.source]),
                 count: 1,
-                title: article.title
-            });
+                title: article.title,
+                reports: {},
+                tier: null
+            };
+            this.recordReport(newsData, article);
+            this.newsMap.set(titleNormalized, newsData);
+            this.index.add(titleNormalized, titleNormalized, newsData);
+            this.scheduleSave();
         }
 
         return {
             isBreaking,
             breakingScore,
-            multiplier: isBreaking ? breakingScore : 1.0
+            multiplier: isBreaking ? breakingScore : 1.0,
+            tier
         };
     }
 
+    /**
+     * Remember when each distinct report was published (for velocity)
+     */
+    recordReport(newsData, article) {
+        const id = article.id || article.link || `${article.source}:${article.publishedAt}`;
+        if (newsData.reports[id]) return;
+        newsData.reports[id] = article.publishedAt;
+
+        const ids = Object.keys(newsData.reports);
+        if (ids.length > MAX_REPORTS) {
+            ids.sort((a, b) => newsData.reports[a] - newsData.reports[b])
+                .slice(0, ids.length - MAX_REPORTS)
+                .forEach(oldest => delete newsData.reports[oldest]);
+        }
+    }
+
+    /**
+     * Severity: credibility-weighted outlet count, plus a bonus for reports
+     * arriving quickly and for urgent wording in the headline
+     */
+    calculateSeverity(newsData, currentTime = Date.now()) {
+        const weightedSources = [...newsData.sources]
+            .reduce((sum, source) => sum + SOURCE_TIER_WEIGHTS[getSourceTier(source)], 0);
+
+        const recentReports = Object.values(newsData.reports)
+            .filter(t => currentTime - t <= VELOCITY_WINDOW_MS).length;
+        const velocityBonus = Math.min(Math.max(recentReports - 1, 0), 3) * 0.25;
+
+        const urgentBonus = URGENT_KEYWORDS.some(keyword => containsWord(newsData.title, keyword)) ? 0.75 : 0;
+
+        return weightedSources + velocityBonus + urgentBonus;
+    }
+
+    /**
+     * @returns {'developing'|'breaking'|'major'}
+     */
+    classifyTier(newsData, currentTime = Date.now()) {
+        const severity = this.calculateSeverity(newsData, currentTime);
+        if (severity >= TIER_THRESHOLDS.major && newsData.count >= MAJOR_MIN_SOURCES) return 'major';
+        if (severity >= TIER_THRESHOLDS.breaking) return 'breaking';
+        return 'developing';
+    }
+
     /**
      * Calculate word-overlap similarity between titles
      * Range: 0 (completely different) to 1 (identical)
      */
     calculateSimilarity(title1, title2) {
-        const words1 = new Set(title1.split(/\s+/));
-        const words2 = new Set(title2.split(/\s+/));
-
-        const intersection = [...words1].filter(w => words2.has(w)).length;
-        const union = new Set([...words1, ...words2]).size;
-
-        return intersection / Math.max(union, 1);
+        return this.index.similarity(title1, title2);
     }
 
     /**
      * Clean up old stories from memory
-     * Call periodically to prevent memory leak
+     * Runs automatically from checkBreakingNews every CLEANUP_INTERVAL_MS
      * Default: Remove stories older than 120 minutes (2 hours)
      */
-    cleanup(maxAgeMinutes = 120) {
-        const now = Date.now();
+    cleanup(maxAgeMinutes = MAX_AGE_MINUTES, now = Date.now()) {
         const entriesToDelete = [];
+        this.lastCleanup = now;
 
         for (const [title, data] of this.newsMap.entries()) {
             const ageMinutes = (now - data.firstSeen) / 1000 / 60;
@@ -116,30 +239,88 @@ export class BreakingNewsDetector {
 
         entriesToDelete.forEach(title => {
             this.newsMap.delete(title);
+            this.index.remove(title);
             this.breaking.delete(title);
         });
 
+        if (entriesToDelete.length > 0) {
+            // Breaking titles without a story of their own can't be matched any more
+            this.breaking.forEach(title => {
+                if (!this.newsMap.has(title)) this.breaking.delete(title);
+            });
+            this.scheduleSave();
+        }
+
         return entriesToDelete.length; // Return count deleted for logging
     }
 
     /**
-     * Get all currently breaking stories
+     * Get all currently breaking stories, most severe first
      */
     getBreakingStories() {
         const breaking = [];
-        for (const [title, data] of this.newsMap.entries()) {
+        for (const data of this.newsMap.values()) {
             if (data.count >= 2) {
                 breaking.push({
                     title: data.title,
                     sourceCount: data.count,
                     sources: [...data.sources],
-                    firstSeen: data.firstSeen
+                    firstSeen: data.firstSeen,
+                    tier: data.tier || 'developing'
                 });
             }
         }
-        return breaking;
+        return breaking.sort((a, b) => BREAKING_TIERS.indexOf(b.tier) - BREAKING_TIERS.indexOf(a.tier));
+    }
+
+    /* ---------- Persistence ---------- */
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (!stored) return;
+            const { stories = [], breaking = [] } = JSON.parse(stored);
+
+            stories.forEach(([title, data]) => {
+                const newsData = { ...data, sources: new Set(data.sources), reports: data.reports || {} };
+                this.newsMap.set(title, newsData);
+                this.index.add(title, title, newsData);
+            });
+            this.breaking = new Set(breaking);
+            this.cleanup();
+        } catch (error) {
+            console.warn('[Breaking] Could not restore detector state:', error.message);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        const stories = [...this.newsMap.entries()]
+            .map(([title, data]) => [title, { ...data, sources: [...data.sources] }]);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ stories, breaking: [...this.breaking] }));
+        } catch (error) {
+            console.error('[Breaking] Error saving detector state:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.storageKey || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write pending changes now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
     }
 }
 
 // Singleton instance - use throughout app
-export const breakingDetector = new BreakingNewsDetector();
+export const breakingDetector = new BreakingNewsDetector({ storageKey: STORAGE_KEY });
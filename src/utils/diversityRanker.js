@@ -0,0 +1,84 @@
+/**
+ * Diversity Ranker
+ * Maximal-marginal-relevance re-ranking: each pick trades the item's own
+ * score against how much it overlaps the stories already chosen, and no
+ * source may take more than its share of the section. Runs after
+ * deduplicateAndCluster, which only merges near-identical headlines, so
+ * different angles on one event are spread out here instead.
+ */
+
+const TOKEN_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'will', 'says', 'said',
+    'after', 'over', 'into', 'amid', 'about', 'more', 'than', 'have', 'has', 'new', 'news'
+]);
+
+function titleTokens(item) {
+    const words = (item.title || item.headline || '').toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+    return new Set(words.filter(word => !TOKEN_STOP_WORDS.has(word)));
+}
+
+/**
+ * Jaccard overlap of two token sets (0 = unrelated, 1 = same words)
+ */
+function overlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Re-orders ranked items so the top `limit` mix topics and sources.
+ *
+ * @param {Object[]} items - Sorted by impactScore, best first
+ * @param {Object} options
+ * @param {number} options.limit - How many items need a diversified position
+ * @param {number} [options.spread] - 0 = pure score order, 1 = maximum topic spread
+ * @param {number} [options.maxPerSource] - Cap per source within `limit` (0 = no cap)
+ * @returns {Object[]} All items; the first `limit` diversified, the rest in score order
+ */
+export function diversifyRanking(items, { limit, spread = 0.3, maxPerSource = 0 }) {
+    if (items.length <= 1 || (spread <= 0 && maxPerSource <= 0)) return items;
+
+    const topScore = Math.max(...items.map(item => item.impactScore || 0)) || 1;
+    const candidates = items.map(item => ({
+        item,
+        relevance: (item.impactScore || 0) / topScore,
+        tokens: titleTokens(item),
+        // Highest overlap with anything already picked
+        redundancy: 0
+    }));
+
+    const selected = [];
+    const perSource = new Map();
+    const target = Math.min(limit, items.length);
+
+    while (selected.length < target) {
+        const underCap = candidates.filter(c =>
+            maxPerSource <= 0 || (perSource.get(c.item.source) || 0) < maxPerSource);
+        // Capped sources only fill in once every other source is exhausted
+        const pool = underCap.length > 0 ? underCap : candidates;
+
+        let best = pool[0];
+        let bestValue = -Infinity;
+        for (const candidate of pool) {
+            const value = (1 - spread) * candidate.relevance - spread * candidate.redundancy;
+            if (value > bestValue) {
+                best = candidate;
+                bestValue = value;
+            }
+        }
+
+        candidates.splice(candidates.indexOf(best), 1);
+        selected.push(best.item);
+        perSource.set(best.item.source, (perSource.get(best.item.source) || 0) + 1);
+
+        for (const candidate of candidates) {
+            candidate.redundancy = Math.max(candidate.redundancy, overlap(candidate.tokens, best.tokens));
+        }
+    }
+
+    return [...selected, ...candidates.map(c => c.item)];
+}
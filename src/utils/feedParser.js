@@ -0,0 +1,240 @@
+/**
+ * Native Feed Parser
+ * Parses RSS 2.0, Atom 1.0 and RDF/RSS 1.0 documents in the browser with DOMParser.
+ *
+ * Parsed items mirror the rss2json item shape (title, link, guid, pubDate, author,
+ * description, content, enclosure, thumbnail, media:content) so they can be passed
+ * straight into the aggregator's normalizeItem().
+ */
+
+/**
+ * @typedef {Object} ParsedFeed
+ * @property {'rss'|'atom'|'rdf'} format
+ * @property {string} title
+ * @property {string} link
+ * @property {Array<Object>} items - rss2json-compatible raw items
+ */
+
+/* ---------- DOM Helpers ---------- */
+
+/**
+ * Direct element children matching any of the given names.
+ * Matches either the qualified name ("media:content") or the local name ("content")
+ * for un-prefixed names, so default-namespace Atom/RDF documents work too.
+ */
+function childrenByName(node, ...names) {
+    if (!node) return [];
+    return Array.from(node.children || []).filter(child =>
+        names.some(name => name.includes(':')
+            ? child.nodeName === name
+            : (child.nodeName === name || (child.localName === name && !child.prefix)))
+    );
+}
+
+function firstChild(node, ...names) {
+    return childrenByName(node, ...names)[0] || null;
+}
+
+function childText(node, ...names) {
+    for (const name of names) {
+        const el = firstChild(node, name);
+        const text = el?.textContent?.trim();
+        if (text) return text;
+    }
+    return '';
+}
+
+/* ---------- Media Extraction ---------- */
+
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp|avif)(\?|$)/i;
+
+function isImageMedia(el) {
+    const type = el.getAttribute('type') || '';
+    const medium = el.getAttribute('medium') || '';
+    const url = el.getAttribute('url') || '';
+    return medium === 'image' || type.startsWith('image/') || (!type && !medium && IMAGE_EXT.test(url));
+}
+
+/**
+ * Collects media:content / media:thumbnail from the item and from any media:group.
+ */
+function extractMedia(node) {
+    const scopes = [node, ...childrenByName(node, 'media:group')];
+    let mediaContent = null;
+    let thumbnail = '';
+
+    scopes.forEach(scope => {
+        if (!thumbnail) {
+            thumbnail = firstChild(scope, 'media:thumbnail')?.getAttribute('url') || '';
+        }
+        if (!mediaContent) {
+            const content = childrenByName(scope, 'media:content').find(isImageMedia);
+            if (content) {
+                mediaContent = {
+                    url: content.getAttribute('url'),
+                    type: content.getAttribute('type') || '',
+                    medium: content.getAttribute('medium') || 'image'
+                };
+            }
+        }
+    });
+
+    return { mediaContent, thumbnail };
+}
+
+function extractEnclosure(node) {
+    const el = firstChild(node, 'enclosure');
+    if (!el || !el.getAttribute('url')) return null;
+    const type = el.getAttribute('type') || '';
+    // Audio/video enclosures are not usable as article images
+    if (type && !type.startsWith('image/')) return null;
+    return {
+        url: el.getAttribute('url'),
+        link: el.getAttribute('url'),
+        type,
+        length: parseInt(el.getAttribute('length'), 10) || 0
+    };
+}
+
+function categoriesOf(node) {
+    return childrenByName(node, 'category', 'dc:subject')
+        .map(el => el.getAttribute('term') || el.textContent.trim())
+        .filter(Boolean);
+}
+
+/* ---------- Format-specific Item Parsers ---------- */
+
+function parseRssItem(node) {
+    const { mediaContent, thumbnail } = extractMedia(node);
+    const guid = childText(node, 'guid');
+    let link = childText(node, 'link');
+    // Some feeds only publish a permalink GUID
+    if (!link && /^https?:\/\//.test(guid)) link = guid;
+
+    const sourceEl = firstChild(node, 'source');
+
+    return {
+        title: childText(node, 'title'),
+        link,
+        guid: guid || link,
+        pubDate: childText(node, 'pubDate', 'dc:date', 'a10:updated'),
+        author: childText(node, 'dc:creator', 'author'),
+        source: sourceEl?.textContent?.trim() || '',
+        description: childText(node, 'description'),
+        content: childText(node, 'content:encoded'),
+        enclosure: extractEnclosure(node),
+        thumbnail,
+        'media:content': mediaContent,
+        categories: categoriesOf(node)
+    };
+}
+
+function atomLink(node) {
+    const links = childrenByName(node, 'link');
+    const alternate = links.find(l => (l.getAttribute('rel') || 'alternate') === 'alternate');
+    return (alternate || links[0])?.getAttribute('href') || '';
+}
+
+function parseAtomEntry(node) {
+    const { mediaContent, thumbnail } = extractMedia(node);
+    const authorEl = firstChild(node, 'author');
+    const enclosureLink = childrenByName(node, 'link')
+        .find(l => l.getAttribute('rel') === 'enclosure' && (l.getAttribute('type') || '').startsWith('image/'));
+
+    const summary = childText(node, 'summary');
+    const content = childText(node, 'content');
+
+    return {
+        title: childText(node, 'title'),
+        link: atomLink(node),
+        guid: childText(node, 'id'),
+        pubDate: childText(node, 'published', 'updated', 'issued', 'modified'),
+        author: authorEl ? childText(authorEl, 'name') : '',
+        source: '',
+        description: summary || content,
+        content,
+        enclosure: enclosureLink ? {
+            url: enclosureLink.getAttribute('href'),
+            link: enclosureLink.getAttribute('href'),
+            type: enclosureLink.getAttribute('type'),
+            length: parseInt(enclosureLink.getAttribute('length'), 10) || 0
+        } : null,
+        thumbnail,
+        'media:content': mediaContent,
+        categories: categoriesOf(node)
+    };
+}
+
+function parseRdfItem(node) {
+    // RSS 1.0 items share RSS 2.0 element names plus Dublin Core metadata
+    const item = parseRssItem(node);
+    if (!item.link) item.link = node.getAttribute('rdf:about') || '';
+    if (!item.guid) item.guid = item.link;
+    return item;
+}
+
+/* ---------- Public API ---------- */
+
+/**
+ * Parse a feed document string into a format-independent structure.
+ * @param {string} xmlString - Raw RSS/Atom/RDF XML
+ * @returns {ParsedFeed}
+ * @throws {Error} If the document is not well-formed or not a recognised feed
+ */
+export function parseFeed(xmlString) {
+    if (!xmlString || typeof xmlString !== 'string') {
+        throw new Error('Feed document is empty');
+    }
+
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlString.trim(), 'text/xml');
+
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XML Parsing Error');
+    }
+
+    const root = xmlDoc.documentElement;
+    const rootName = root.localName.toLowerCase();
+
+    if (rootName === 'feed') {
+        return {
+            format: 'atom',
+            title: childText(root, 'title'),
+            link: atomLink(root),
+            items: childrenByName(root, 'entry').map(parseAtomEntry)
+        };
+    }
+
+    if (rootName === 'rdf') {
+        const channel = firstChild(root, 'channel');
+        return {
+            format: 'rdf',
+            title: childText(channel, 'title'),
+            link: childText(channel, 'link'),
+            items: childrenByName(root, 'item').map(parseRdfItem)
+        };
+    }
+
+    if (rootName === 'rss') {
+        const channel = firstChild(root, 'channel');
+        return {
+            format: 'rss',
+            title: childText(channel, 'title'),
+            link: childText(channel, 'link'),
+            items: childrenByName(channel, 'item').map(parseRssItem)
+        };
+    }
+
+    throw new Error(`Unrecognised feed format: <${root.nodeName}>`);
+}
+
+/**
+ * Quick sniff used by callers that receive arbitrary proxy responses.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function looksLikeFeed(text) {
+    if (!text) return false;
+    const head = text.slice(0, 1024).toLowerCase();
+    return head.includes('<rss') || head.includes('<feed') || head.includes('<rdf:rdf');
+}
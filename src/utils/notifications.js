@@ -1,5 +1,38 @@
 /**
  * Notification Utility for handling permissions and triggering alerts
+ *
+ * Every notification goes through sendNotification, which applies the
+ * user's snooze, per-category mute and quiet hours (settings.notifications)
+ * and records it in the in-app inbox, including ones that were held back.
+ */
+
+import { getSettings } from './storage';
+
+const HISTORY_KEY = 'dailyEventAI_notificationHistory';
+const MAX_HISTORY = 100;
+const CHANGE_EVENT = 'dailyEventAI:notifications';
+
+/**
+ * Kinds of notification the app sends; each can be muted on its own
+ */
+export const NOTIFICATION_CATEGORIES = {
+    segment: { label: 'Segment switches', icon: '🕐' },
+    topic: { label: 'Followed topics', icon: '📌' },
+    breaking: { label: 'Breaking news', icon: '🚨' },
+    alert: { label: 'Alert rules', icon: '🔔' },
+    market: { label: 'Market alerts', icon: '📈' }
+};
+
+/**
+ * @typedef {Object} NotificationRecord
+ * @property {string} id
+ * @property {string} title
+ * @property {string} body
+ * @property {string} category - Key of NOTIFICATION_CATEGORIES
+ * @property {string|null} link - App route ('/following/…') or article URL
+ * @property {number} sentAt
+ * @property {'snoozed'|'muted'|'quiet-hours'|'no-permission'|null} heldBack - Why it wasn't shown, if it wasn't
+ * @property {boolean} read
  */
 
 export async function requestNotificationPermission() {
@@ -20,25 +53,161 @@ export async function requestNotificationPermission() {
     return false;
 }
 
+/* ---------- Delivery rules ---------- */
+
+const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm || '0:0').split(':').map(Number);
+    return (h || 0) * 60 + (m || 0);
+};
+
+/**
+ * Whether `date` falls inside the quiet hours window (which may wrap midnight)
+ * @param {{ enabled: boolean, start: string, end: string }} quietHours
+ * @param {Date} [date]
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+    if (start === end) return false;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Why a notification of this category would be held back right now, or null
+ * @param {string} category
+ * @param {number} [now]
+ * @returns {'snoozed'|'muted'|'quiet-hours'|null}
+ */
+export function getSuppressionReason(category, now = Date.now()) {
+    const prefs = getSettings().notifications || {};
+    if (prefs.snoozeUntil && now < prefs.snoozeUntil) return 'snoozed';
+    if ((prefs.muted || []).includes(category)) return 'muted';
+    if (isQuietTime(prefs.quietHours, new Date(now))) return 'quiet-hours';
+    return null;
+}
+
+/* ---------- Inbox ---------- */
+
+/**
+ * @returns {NotificationRecord[]} Newest first
+ */
+export function getNotificationHistory() {
+    try {
+        const stored = localStorage.getItem(HISTORY_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, MAX_HISTORY)));
+    } catch (error) {
+        console.warn('[Notifications] Could not save history:', error.message);
+    }
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function getUnreadCount() {
+    return getNotificationHistory().filter(record => !record.read).length;
+}
+
+export function markAllNotificationsRead() {
+    saveHistory(getNotificationHistory().map(record => ({ ...record, read: true })));
+}
+
+export function markNotificationRead(id) {
+    saveHistory(getNotificationHistory().map(record => record.id === id ? { ...record, read: true } : record));
+}
+
+export function clearNotificationHistory() {
+    saveHistory([]);
+}
+
+/**
+ * Calls `listener` whenever the inbox changes (for useSyncExternalStore)
+ * @returns {Function} unsubscribe
+ */
+export function subscribeNotifications(listener) {
+    window.addEventListener(CHANGE_EVENT, listener);
+    window.addEventListener('storage', listener);
+    return () => {
+        window.removeEventListener(CHANGE_EVENT, listener);
+        window.removeEventListener('storage', listener);
+    };
+}
+
+/* ---------- Sending ---------- */
+
+/**
+ * Open a notification's link: app routes through the hash router, anything else in a new tab
+ * @param {string|null} link
+ */
+export function openNotificationLink(link) {
+    if (!link) return;
+    if (link.startsWith('/')) {
+        window.location.hash = link;
+    } else {
+        window.open(link, '_blank', 'noopener,noreferrer');
+    }
+}
+
+/**
+ * Show a notification (unless snoozed, muted or in quiet hours) and log it in the inbox
+ * @param {string} title
+ * @param {Object} [options] - Notification options, plus:
+ * @param {string} [options.category] - Key of NOTIFICATION_CATEGORIES
+ * @param {string} [options.link] - App route or URL opened when it is clicked
+ * @returns {boolean} Whether it was shown
+ */
 export function sendNotification(title, options = {}) {
-    if (Notification.permission === 'granted') {
-        // Use Service Worker if available (better for mobile)
-        if (navigator.serviceWorker && navigator.serviceWorker.ready) {
-            navigator.serviceWorker.ready.then(registration => {
-                registration.showNotification(title, {
-                    icon: '/News-Weather-App/vite.svg',
-                    badge: '/News-Weather-App/vite.svg',
-                    vibrate: [200, 100, 200],
-                    requireInteraction: true, // Keeps it until user interacts
-                    ...options
-                });
-            });
-        } else {
-            // Fallback to standard API
-            new Notification(title, {
+    const { category = 'alert', link = null, ...displayOptions } = options;
+
+    const supported = typeof window !== 'undefined' && 'Notification' in window;
+    const heldBack = getSuppressionReason(category) ||
+        (supported && Notification.permission === 'granted' ? null : 'no-permission');
+
+    saveHistory([{
+        id: `ntf_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        title,
+        body: displayOptions.body || '',
+        category,
+        link,
+        sentAt: Date.now(),
+        heldBack,
+        read: false
+    }, ...getNotificationHistory()]);
+
+    if (heldBack) {
+        if (heldBack !== 'no-permission') console.log(`[Notifications] Held back (${heldBack}): ${title}`);
+        return false;
+    }
+
+    // Use Service Worker if available (better for mobile)
+    if (navigator.serviceWorker && navigator.serviceWorker.ready) {
+        navigator.serviceWorker.ready.then(registration => {
+            registration.showNotification(title, {
                 icon: '/News-Weather-App/vite.svg',
-                ...options
+                badge: '/News-Weather-App/vite.svg',
+                vibrate: [200, 100, 200],
+                requireInteraction: true, // Keeps it until user interacts
+                ...displayOptions,
+                data: { ...displayOptions.data, link }
             });
-        }
+        });
+    } else {
+        // Fallback to standard API
+        const notification = new Notification(title, {
+            icon: '/News-Weather-App/vite.svg',
+            ...displayOptions
+        });
+        notification.onclick = () => {
+            window.focus();
+            openNotificationLink(link);
+        };
     }
+    return true;
 }
@@ -1,11 +1,117 @@
 /**
- * Calculates novelty score based on TF-IDF deviation.
- * Uses a session-only in-memory corpus to detect fresh topics.
+ * Calculates novelty score based on TF-IDF against recent coverage.
+ *
+ * Each section keeps a document-frequency corpus of the stories it has
+ * scored: how many recent documents contain each token. Counts decay with a
+ * half-life, so a term that dominated last week becomes novel again, and the
+ * corpus is persisted so a reload does not make every token look new.
+ * A document's novelty is its tf-idf mass relative to the most novel it
+ * could be; the boost goes to stories more novel than the section's average.
  */
 
-// In-memory corpus (cleared on reload/session start)
-// Map: token -> { count: number, lastSeen: timestamp }
-const CORPUS_CACHE = new Map();
+const STORAGE_KEY = 'dailyEventAI_noveltyCorpus';
+
+// Document frequencies halve every two days
+const HALF_LIFE_MS = 2 * 24 * 60 * 60 * 1000;
+// Tokens whose decayed frequency falls below this are dropped
+const MIN_DF = 0.1;
+// Sized for localStorage across every section: only the most frequent tokens
+// are kept, and a rarer token scores as unseen, which is what it nearly is
+const MAX_TOKENS_PER_SECTION = 400;
+// Remember which documents were counted so re-scoring does not count them
+// again; a few refreshes' worth is enough
+const MAX_SEEN_PER_SECTION = 200;
+// Below this many (decayed) documents the corpus is too thin to judge
+const MIN_DOCS = 15;
+const MAX_BOOST = 0.5;
+// How quickly the section's average novelty follows new documents
+const BASELINE_RATE = 0.05;
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * @typedef {Object} SectionCorpus
+ * @property {number} docs - Decayed document count
+ * @property {number} updatedAt - When docs was last decayed
+ * @property {number} baseline - Running average novelty of documents in this section
+ * @property {Object<string, { df: number, t: number, first: number }>} tokens
+ * @property {Object<string, number>} seen - Document id → when it was counted
+ */
+
+let corpus = null;
+let saveTimer = null;
+// The real corpus while the scoring regression harness works on a scratch one
+let isolatedBackup = null;
+
+/* ---------- Persistence ---------- */
+
+function loadCorpus() {
+    if (corpus) return corpus;
+    try {
+        const stored = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+        corpus = stored ? JSON.parse(stored) : {};
+    } catch {
+        corpus = {};
+    }
+    return corpus;
+}
+
+// Scoring runs for every item of a refresh; write once the burst is over
+function scheduleSave() {
+    if (saveTimer || isolatedBackup) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        const persisted = isolatedBackup || corpus;
+        Object.values(persisted).forEach(pruneSection);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(persisted));
+        } catch (error) {
+            console.error('[Novelty] Error saving corpus:', error);
+        }
+    }, SAVE_DELAY_MS);
+}
+
+function getSection(section) {
+    const all = loadCorpus();
+    const key = section || 'general';
+    if (!all[key]) {
+        all[key] = { docs: 0, updatedAt: Date.now(), baseline: 0.5, tokens: {}, seen: {} };
+    }
+    return all[key];
+}
+
+/* ---------- Decay ---------- */
+
+function decayFactor(since, now) {
+    return Math.pow(0.5, (now - since) / HALF_LIFE_MS);
+}
+
+function tokenDf(entry, now) {
+    return entry ? entry.df * decayFactor(entry.t, now) : 0;
+}
+
+function decayDocs(data, now) {
+    data.docs *= decayFactor(data.updatedAt, now);
+    data.updatedAt = now;
+}
+
+function pruneSection(data) {
+    const now = Date.now();
+
+    let tokens = Object.entries(data.tokens).filter(([, entry]) => tokenDf(entry, now) >= MIN_DF);
+    if (tokens.length > MAX_TOKENS_PER_SECTION) {
+        tokens = tokens
+            .sort((a, b) => tokenDf(b[1], now) - tokenDf(a[1], now))
+            .slice(0, MAX_TOKENS_PER_SECTION);
+    }
+    data.tokens = Object.fromEntries(tokens);
+
+    const seen = Object.entries(data.seen);
+    if (seen.length > MAX_SEEN_PER_SECTION) {
+        data.seen = Object.fromEntries(seen.sort((a, b) => b[1] - a[1]).slice(0, MAX_SEEN_PER_SECTION));
+    }
+}
+
+/* ---------- Scoring ---------- */
 
 // Helper: Simple tokenization
 function tokenize(text) {
@@ -15,44 +121,148 @@ function tokenize(text) {
         .filter(w => w.length > 3); // Ignore short words
 }
 
-export function calculateNoveltyScore(title, description, section) {
+function termFrequencies(tokens) {
+    const tf = new Map();
+    tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+    return tf;
+}
+
+function idf(df, docs) {
+    return Math.log((docs + 1) / (df + 1)) + 1;
+}
+
+/**
+ * @param {string} title
+ * @param {string} description
+ * @param {string} section
+ * @param {string} [docId] - Stable article id; without it the document is scored but not counted
+ * @returns {number} Multiplier between 1.0 and 1.5
+ */
+export function calculateNoveltyScore(title, description, section, docId = null) {
     const text = `${title} ${description}`;
-    const tokens = tokenize(text);
+    const tf = termFrequencies(tokenize(text));
 
-    if (tokens.length === 0) return 1.0;
+    if (tf.size === 0) return 1.0;
 
-    let rareTokenCount = 0;
+    const data = getSection(section);
+    const now = Date.now();
+    decayDocs(data, now);
 
-    // Analyze tokens
-    tokens.forEach(token => {
-        const stats = CORPUS_CACHE.get(token) || { count: 0, lastSeen: 0 };
+    // A document scored before is already part of the corpus: take its own share out
+    const ownShare = docId && data.seen[docId] ? decayFactor(data.seen[docId], now) : 0;
+    const docs = Math.max(0, data.docs - ownShare);
 
-        // If token seen less than 2 times, it's considered "rare" / novel in this session
-        if (stats.count < 2) {
-            rareTokenCount++;
-        }
+    // tf-idf mass of the document relative to the same terms all being unseen
+    const maxIdf = idf(0, docs);
+    let mass = 0;
+    let maxMass = 0;
+    tf.forEach((count, token) => {
+        const df = Math.max(0, tokenDf(data.tokens[token], now) - ownShare);
+        mass += count * idf(df, docs);
+        maxMass += count * maxIdf;
+    });
+    const novelty = maxMass > 0 ? mass / maxMass : 0;
 
-        // Update corpus
-        CORPUS_CACHE.set(token, {
-            count: stats.count + 1,
-            lastSeen: Date.now()
+    if (docId && !data.seen[docId]) {
+        tf.forEach((count, token) => {
+            const entry = data.tokens[token];
+            data.tokens[token] = {
+                df: tokenDf(entry, now) + 1,
+                t: now,
+                first: entry?.first || now
+            };
         });
-    });
+        data.docs += 1;
+        data.seen[docId] = now;
+        data.baseline += (novelty - data.baseline) * BASELINE_RATE;
+        scheduleSave();
+    }
+
+    // Too little history: every term would look new
+    if (docs < MIN_DOCS) return 1.0;
+
+    // Boost only what stands out from the section's usual novelty, capped at 1.5x
+    const headroom = Math.max(1 - data.baseline, 0.05);
+    const excess = Math.min(Math.max((novelty - data.baseline) / headroom, 0), 1);
+    return 1.0 + excess * MAX_BOOST;
+}
+
+/* ---------- Debug ---------- */
+
+/**
+ * Terms that recently entered a section's coverage, ranked by df × idf:
+ * spreading across stories without yet being commonplace
+ * @param {string} section
+ * @param {number} [limit]
+ * @param {number} [windowHours] - How recently a term must have first appeared
+ * @returns {Array<{ term: string, df: number, idf: number, weight: number, firstSeen: number }>}
+ */
+export function getMostNovelTerms(section, limit = 10, windowHours = 24) {
+    const data = loadCorpus()[section];
+    if (!data) return [];
 
-    // Calculate novelty ratio
-    const noveltyRatio = rareTokenCount / tokens.length;
+    const now = Date.now();
+    const docs = data.docs * decayFactor(data.updatedAt, now);
+    const since = now - windowHours * 60 * 60 * 1000;
 
-    // Boost score: 1.0 to 1.5 based on how many words are new
-    // If 50% of words are new, boost by 1.25x
-    // Cap at 1.5x
-    const boost = 1.0 + Math.min(noveltyRatio * 0.5, 0.5);
+    return Object.entries(data.tokens)
+        .filter(([, entry]) => entry.first >= since)
+        .map(([term, entry]) => {
+            const df = tokenDf(entry, now);
+            const termIdf = idf(df, docs);
+            return { term, df, idf: termIdf, weight: df * termIdf, firstSeen: entry.first };
+        })
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+}
 
-    return boost;
+/**
+ * Per-section corpus size
+ * @returns {Array<{ section: string, docs: number, tokens: number, baseline: number }>}
+ */
+export function getCorpusStats() {
+    const now = Date.now();
+    return Object.entries(loadCorpus()).map(([section, data]) => ({
+        section,
+        docs: data.docs * decayFactor(data.updatedAt, now),
+        tokens: Object.keys(data.tokens).length,
+        baseline: data.baseline
+    }));
 }
 
 /**
  * Debug utility to see corpus size
  */
 export function getCorpusSize() {
-    return CORPUS_CACHE.size;
+    return Object.values(loadCorpus()).reduce((sum, data) => sum + Object.keys(data.tokens).length, 0);
+}
+
+/**
+ * Score against an empty, unsaved corpus (true) or the persisted one (false).
+ * Lets the regression harness run fixtures without reading or polluting
+ * the user's coverage history.
+ * @param {boolean} isolated
+ */
+export function isolateNoveltyCorpus(isolated) {
+    if (isolated && !isolatedBackup) {
+        isolatedBackup = loadCorpus();
+        corpus = {};
+    } else if (!isolated && isolatedBackup) {
+        corpus = isolatedBackup;
+        isolatedBackup = null;
+    }
+}
+
+/**
+ * Forget all coverage history
+ */
+export function clearNoveltyCorpus() {
+    corpus = {};
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage unavailable; the in-memory corpus is already empty
+    }
 }
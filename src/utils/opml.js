@@ -0,0 +1,186 @@
+/**
+ * OPML Import / Export
+ * Moves feed lists between this app and other readers.
+ *
+ * - Import: outlines become custom feeds; the enclosing folder outline (or the
+ *   `category` attribute) picks the section, creating user sections as needed
+ * - Export: the effective feed set (built-in + custom), one folder per section,
+ *   with `disabled="true"` on feeds switched off in the Feed Health panel
+ */
+
+import { getSectionList, addUserSection } from './sectionRegistry';
+import { getFeedCatalog } from '../services/rssAggregator';
+
+/**
+ * @typedef {Object} OpmlFeed
+ * @property {string} url
+ * @property {string} title
+ * @property {string} category - Folder / category name, '' when uncategorised
+ * @property {boolean} disabled
+ */
+
+/* ---------- Parsing ---------- */
+
+/**
+ * Category from an outline's `category` attribute ("/News/Tech,/Other" → "Tech")
+ */
+function categoryAttribute(outline) {
+    const first = (outline.getAttribute('category') || '').split(',')[0].trim();
+    return first.split('/').filter(Boolean).pop() || '';
+}
+
+/**
+ * Extracts every feed outline from an OPML document.
+ * @param {string} xmlString
+ * @returns {OpmlFeed[]}
+ * @throws {Error} When the document is not OPML
+ */
+export function parseOpml(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not valid XML');
+    }
+
+    const body = doc.documentElement?.nodeName === 'opml'
+        ? Array.from(doc.documentElement.children).find(el => el.nodeName === 'body')
+        : null;
+    if (!body) throw new Error('File is not an OPML document');
+
+    const feeds = [];
+
+    const walk = (node, folder) => {
+        Array.from(node.children)
+            .filter(el => el.nodeName === 'outline')
+            .forEach(outline => {
+                const url = (outline.getAttribute('xmlUrl') || '').trim();
+                const title = (outline.getAttribute('title') || outline.getAttribute('text') || '').trim();
+
+                if (url) {
+                    feeds.push({
+                        url,
+                        title,
+                        category: categoryAttribute(outline) || folder,
+                        disabled: outline.getAttribute('disabled') === 'true'
+                    });
+                }
+
+                // Folders (and feeds that nest children) pass their name down
+                walk(outline, url ? folder : (title || folder));
+            });
+    };
+
+    walk(body, '');
+    return feeds;
+}
+
+/* ---------- Import ---------- */
+
+/**
+ * Merges parsed OPML feeds into settings.customFeeds.
+ * Known feeds (built-in or already custom) are skipped; unknown categories become
+ * new user sections; uncategorised feeds fall back to `defaultSection`.
+ *
+ * @param {Object} settings
+ * @param {OpmlFeed[]} feeds
+ * @param {string} [defaultSection='world']
+ * @returns {{ settings: Object, added: number, skipped: number, createdSections: string[] }}
+ */
+export function importOpmlFeeds(settings, feeds, defaultSection = 'world') {
+    let next = { ...settings };
+    const createdSections = [];
+
+    const known = new Set(getFeedCatalog(settings).flatMap(group => group.feeds.map(f => f.url)));
+    const customFeeds = [...(settings.customFeeds || [])];
+    const disabledFeeds = new Set(settings.disabledFeeds || []);
+
+    const sectionFor = (category) => {
+        const name = category.trim().toLowerCase();
+        if (!name) return defaultSection;
+
+        const match = getSectionList(next).find(s =>
+            s.key === name || s.label.toLowerCase() === name || s.title.toLowerCase() === name
+        );
+        if (match) return match.key;
+
+        const created = addUserSection(next, category.trim());
+        next = created.settings;
+        createdSections.push(category.trim());
+        return created.key;
+    };
+
+    let added = 0;
+    let skipped = 0;
+
+    feeds.forEach(feed => {
+        if (feed.disabled) disabledFeeds.add(feed.url);
+
+        if (known.has(feed.url)) {
+            skipped++;
+            return;
+        }
+
+        known.add(feed.url);
+        customFeeds.push({ title: feed.title || feed.url, url: feed.url, section: sectionFor(feed.category) });
+        added++;
+    });
+
+    return {
+        settings: { ...next, customFeeds, disabledFeeds: [...disabledFeeds] },
+        added,
+        skipped,
+        createdSections
+    };
+}
+
+/* ---------- Export ---------- */
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function feedTitle(url) {
+    try {
+        const parsed = new URL(url);
+        const query = parsed.searchParams.get('q');
+        return query ? `${parsed.hostname} – ${query}` : parsed.hostname;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Serialises the effective feed set as OPML 2.0.
+ * @param {Object} settings
+ * @returns {string}
+ */
+export function buildOpml(settings) {
+    const labels = Object.fromEntries(getSectionList(settings).map(s => [s.key, s.label]));
+
+    const folders = getFeedCatalog(settings).map(({ section, feeds }) => {
+        const label = escapeXml(labels[section] || section);
+        const outlines = feeds.map(feed => {
+            const title = escapeXml(feed.title || feedTitle(feed.url));
+            const disabled = feed.enabled ? '' : ' disabled="true"';
+            return `      <outline type="rss" text="${title}" title="${title}" xmlUrl="${escapeXml(feed.url)}"${disabled}/>`;
+        });
+        return [`    <outline text="${label}" title="${label}">`, ...outlines, '    </outline>'].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        '    <title>News &amp; Weather App feeds</title>',
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>',
+        ...folders,
+        '  </body>',
+        '</opml>',
+        ''
+    ].join('\n');
+}
@@ -1,10 +1,105 @@
 import { getSettings } from './storage.js';
-import { LOCATIONS } from '../data/geolocation.js';
+import { GAZETTEER } from '../data/geolocation.js';
 
 /**
  * Calculates proximity score based on user's location relevance.
- * Checks against hardcoded LOCATIONS and user settings.
+ *
+ * Anchors are the user's home location and the cities configured for weather.
+ * Places mentioned in the story are looked up in the GAZETTEER; the boost
+ * falls off with distance to the nearest anchor. Mentions of a whole state or
+ * country get a smaller, flat boost when an anchor lies inside it.
  */
+
+// Boost for a story about the anchor itself (distance 0)
+const MAX_BOOST = 2.0;
+// Distance at which the boost has fallen to ~37% of its maximum
+const DECAY_KM = 150;
+// Weather cities count a little less than home
+const ANCHOR_WEIGHTS = { home: 1.0, city: 0.85 };
+// Flat boosts when an anchor lies inside the mentioned region
+const REGION_BOOSTS = { state: 1.4, country: 1.2 };
+
+const EARTH_RADIUS_KM = 6371;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One word-bounded pattern per place, built once
+const PLACE_PATTERNS = Object.entries(GAZETTEER).map(([key, place]) => ({
+    key,
+    pattern: new RegExp(`\\b(${place.aliases.map(escapeRegex).join('|')})\\b`, 'i')
+}));
+
+/**
+ * Great-circle distance in kilometres
+ */
+export function distanceKm(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Keys of the place and every place enclosing it
+ */
+function ancestry(key) {
+    const chain = [];
+    let current = key;
+    while (current && GAZETTEER[current] && !chain.includes(current)) {
+        chain.push(current);
+        current = GAZETTEER[current].parent;
+    }
+    return chain;
+}
+
+/**
+ * Where the user is and which places they follow, as gazetteer entries
+ * @param {Object} settings
+ * @returns {Array<{ key: string, weight: number }>}
+ */
+export function getProximityAnchors(settings) {
+    const anchors = [];
+    const home = settings.homeLocation;
+    if (home && GAZETTEER[home]) {
+        anchors.push({ key: home, weight: ANCHOR_WEIGHTS.home });
+    }
+    (settings.weather?.cities || []).forEach(city => {
+        if (GAZETTEER[city] && city !== home) {
+            anchors.push({ key: city, weight: ANCHOR_WEIGHTS.city });
+        }
+    });
+    return anchors;
+}
+
+/**
+ * Gazetteer keys of the places a text mentions
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findMentionedPlaces(text) {
+    return PLACE_PATTERNS
+        .filter(({ pattern }) => pattern.test(text))
+        .map(({ key }) => key);
+}
+
+function placeBoost(placeKey, anchor) {
+    const place = GAZETTEER[placeKey];
+    const regionBoost = REGION_BOOSTS[place.kind];
+
+    if (regionBoost) {
+        // "Tamil Nadu" is close to everything in Tamil Nadu, but its centroid is not
+        if (!ancestry(anchor.key).includes(placeKey)) return 1.0;
+        return 1 + (regionBoost - 1) * anchor.weight;
+    }
+
+    const distance = distanceKm(place, GAZETTEER[anchor.key]);
+    return 1 + (MAX_BOOST - 1) * anchor.weight * Math.exp(-distance / DECAY_KM);
+}
+
 export function calculateProximityScore(title, description) {
     const settings = getSettings();
 
@@ -13,21 +108,16 @@ export function calculateProximityScore(title, description) {
         return 1.0;
     }
 
-    const text = `${title} ${description}`.toLowerCase();
-    let maxBoost = 1.0;
-
-    // 2. Check against LOCATIONS list
-    for (const [locationName, data] of Object.entries(LOCATIONS)) {
-        // Simple text matching
-        if (text.includes(locationName.toLowerCase())) {
-            if (data.boost > maxBoost) {
-                maxBoost = data.boost;
-            }
-        }
-    }
+    const anchors = getProximityAnchors(settings);
+    if (anchors.length === 0) return 1.0;
 
-    // AI NOTE: Future enhancement - check user's specifically configured city
-    // if (settings.weather?.cities?.some(city => text.includes(city))) ...
+    // 2. Strongest boost over every (mentioned place, anchor) pair
+    let maxBoost = 1.0;
+    findMentionedPlaces(`${title} ${description}`).forEach(placeKey => {
+        anchors.forEach(anchor => {
+            maxBoost = Math.max(maxBoost, placeBoost(placeKey, anchor));
+        });
+    });
 
     return maxBoost;
 }
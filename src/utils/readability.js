@@ -0,0 +1,273 @@
+/**
+ * Readability Extraction
+ * Pulls the main article text, byline, lead image and publish time out of a
+ * news page's HTML, in the spirit of Mozilla Readability:
+ *
+ * 1. Strip page chrome (scripts, nav, footers, share bars, comments)
+ * 2. Score every paragraph by length and commas, crediting its parent and
+ *    grandparent, adjusted by class/id hints and link density
+ * 3. Take the best-scoring container plus qualifying siblings
+ *
+ * Output is plain-text blocks rather than HTML, so nothing from the page is
+ * ever injected into the app's DOM.
+ */
+
+/**
+ * @typedef {Object} ReaderBlock
+ * @property {'p'|'h'|'li'|'quote'} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} ExtractedArticle
+ * @property {string} title
+ * @property {string|null} byline
+ * @property {string|null} leadImage - Absolute URL
+ * @property {number|null} publishedAt - Timestamp
+ * @property {string|null} siteName
+ * @property {ReaderBlock[]} blocks
+ * @property {string} text - Blocks joined with blank lines
+ * @property {string} excerpt - First paragraph, trimmed
+ * @property {number} wordCount
+ */
+
+const UNLIKELY_TAGS = 'script, style, noscript, iframe, form, button, input, select, svg, canvas, nav, footer, aside, header, template';
+
+const UNLIKELY_HINTS = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|modal|newsletter|outbrain|pager|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tags|toolbar|widget|advert|\bad-|\bads\b/i;
+const MAYBE_HINTS = /and|article|body|column|content|main|shadow|story/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /hidden|^hid$|\bhid\b|\bhide\b|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|caption|byline|author/i;
+
+const MIN_PARAGRAPH_CHARS = 25;
+
+/* ---------- Text Helpers ---------- */
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+        return new URL(url, baseUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+function linkDensity(el) {
+    const textLength = normalizeText(el.textContent).length;
+    if (textLength === 0) return 0;
+    const linkLength = Array.from(el.querySelectorAll('a'))
+        .reduce((sum, a) => sum + normalizeText(a.textContent).length, 0);
+    return linkLength / textLength;
+}
+
+function classWeight(el) {
+    let weight = 0;
+    for (const hint of [el.className, el.id]) {
+        if (typeof hint !== 'string' || !hint) continue;
+        if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+        if (POSITIVE_HINTS.test(hint)) weight += 25;
+    }
+    return weight;
+}
+
+/* ---------- Metadata ---------- */
+
+function metaContent(doc, ...keys) {
+    for (const key of keys) {
+        const el = doc.querySelector(`meta[property="${key}"], meta[name="${key}"], meta[itemprop="${key}"]`);
+        const content = el?.getAttribute('content')?.trim();
+        if (content) return content;
+    }
+    return null;
+}
+
+/**
+ * schema.org NewsArticle / Article blocks, which most news sites embed
+ */
+function readJsonLd(doc) {
+    const found = {};
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            const data = JSON.parse(script.textContent);
+            const nodes = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])];
+            nodes.forEach(node => {
+                if (!node || typeof node !== 'object' || !/Article|Posting/.test([].concat(node['@type']).join(' '))) return;
+                found.headline ||= node.headline;
+                found.datePublished ||= node.datePublished;
+                const author = [].concat(node.author || [])[0];
+                found.author ||= typeof author === 'string' ? author : author?.name;
+                const image = [].concat(node.image || [])[0];
+                found.image ||= typeof image === 'string' ? image : image?.url;
+            });
+        } catch {
+            // Malformed JSON-LD is common; ignore it
+        }
+    });
+    return found;
+}
+
+function extractMetadata(doc, baseUrl) {
+    const ld = readJsonLd(doc);
+
+    const bylineEl = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author, [class*="byline"]');
+    const byline = metaContent(doc, 'author', 'article:author', 'parsely-author', 'sailthru.author') ||
+        ld.author ||
+        normalizeText(bylineEl?.textContent).slice(0, 100) ||
+        null;
+
+    const published = metaContent(doc, 'article:published_time', 'datePublished', 'pubdate', 'publish-date', 'parsely-pub-date') ||
+        ld.datePublished ||
+        doc.querySelector('time[datetime]')?.getAttribute('datetime');
+
+    return {
+        title: metaContent(doc, 'og:title', 'twitter:title') || ld.headline || normalizeText(doc.title),
+        byline: byline && !/^https?:/.test(byline) ? byline : null,
+        leadImage: absoluteUrl(metaContent(doc, 'og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src') || ld.image, baseUrl),
+        publishedAt: published ? (Date.parse(published) || null) : null,
+        siteName: metaContent(doc, 'og:site_name', 'application-name')
+    };
+}
+
+/**
+ * og:image / twitter:image (or JSON-LD image) from a page, without running
+ * full content extraction.
+ * @param {string} html
+ * @param {string} url - Page URL (resolves relative image URLs)
+ * @returns {string|null} Absolute image URL
+ */
+export function extractLeadImage(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return absoluteUrl(
+        metaContent(doc, 'og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src') || readJsonLd(doc).image,
+        url
+    );
+}
+
+/* ---------- Content ---------- */
+
+function removeClutter(body) {
+    body.querySelectorAll(UNLIKELY_TAGS).forEach(el => el.remove());
+
+    Array.from(body.querySelectorAll('*')).forEach(el => {
+        if (!el.isConnected || el.tagName === 'BODY' || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') return;
+        const hint = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+        if (UNLIKELY_HINTS.test(hint) && !MAYBE_HINTS.test(hint)) el.remove();
+        else if (el.getAttribute('aria-hidden') === 'true' || el.hidden) el.remove();
+    });
+}
+
+function scoreCandidates(root) {
+    const scores = new Map();
+    const credit = (el, points) => {
+        if (!el || el === root.parentElement) return;
+        if (!scores.has(el)) scores.set(el, classWeight(el));
+        scores.set(el, scores.get(el) + points);
+    };
+
+    root.querySelectorAll('p, pre, td, blockquote, li, h2, h3').forEach(el => {
+        const text = normalizeText(el.textContent);
+        if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+        const points = 1 + text.split(/[,،、]/).length + Math.min(Math.floor(text.length / 100), 3);
+        credit(el.parentElement, points);
+        credit(el.parentElement?.parentElement, points / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+        const adjusted = score * (1 - linkDensity(el));
+        if (adjusted > bestScore) {
+            best = el;
+            bestScore = adjusted;
+        }
+    });
+
+    return { best, bestScore, scores };
+}
+
+function toBlock(el) {
+    const text = normalizeText(el.textContent);
+    if (!text) return null;
+
+    switch (el.tagName) {
+        case 'H1': case 'H2': case 'H3': case 'H4':
+            return { type: 'h', text };
+        case 'LI':
+            return { type: 'li', text };
+        case 'BLOCKQUOTE':
+            return { type: 'quote', text };
+        default:
+            return { type: 'p', text };
+    }
+}
+
+/**
+ * Readable blocks from the winning container and siblings that look like
+ * continuations of the same article body.
+ */
+function collectBlocks(best, bestScore, scores) {
+    const containers = [best];
+    const threshold = Math.max(10, bestScore * 0.2);
+
+    Array.from(best.parentElement?.children || []).forEach(sibling => {
+        if (sibling === best) return;
+        const siblingScore = (scores.get(sibling) || 0) * (1 - linkDensity(sibling));
+        const sameClass = sibling.className && sibling.className === best.className;
+        if (siblingScore >= threshold || (sameClass && siblingScore > 0)) containers.push(sibling);
+    });
+
+    const blocks = [];
+    const seen = new Set();
+    containers.forEach(container => {
+        container.querySelectorAll('p, h2, h3, h4, li, blockquote, pre').forEach(el => {
+            // Nested matches (a <p> inside a <blockquote>) are covered by their ancestor
+            if (el.parentElement?.closest('blockquote, li') && container.contains(el.parentElement.closest('blockquote, li'))) return;
+            if (linkDensity(el) > 0.5) return;
+
+            const block = toBlock(el);
+            if (!block || seen.has(block.text)) return;
+            if (block.type === 'p' && block.text.length < MIN_PARAGRAPH_CHARS && !/[.!?"”]$/.test(block.text)) return;
+
+            seen.add(block.text);
+            blocks.push(block);
+        });
+    });
+
+    return blocks;
+}
+
+/**
+ * Extracts the readable article from a page.
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (resolves relative image URLs)
+ * @returns {ExtractedArticle|null} null when no article-like content is found
+ */
+export function extractArticle(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (!doc.body) return null;
+
+    const metadata = extractMetadata(doc, url);
+
+    removeClutter(doc.body);
+    const root = doc.querySelector('article, [itemprop="articleBody"], main') || doc.body;
+    const { best, bestScore, scores } = scoreCandidates(root);
+    if (!best) return null;
+
+    const blocks = collectBlocks(best, bestScore, scores);
+    const paragraphs = blocks.filter(b => b.type === 'p');
+    if (paragraphs.length === 0) return null;
+
+    const text = blocks.map(b => b.text).join('\n\n');
+
+    return {
+        ...metadata,
+        blocks,
+        text,
+        excerpt: paragraphs[0].text.slice(0, 300),
+        wordCount: text.split(/\s+/).filter(Boolean).length
+    };
+}
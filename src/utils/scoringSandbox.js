@@ -0,0 +1,37 @@
+/**
+ * Scoring Sandbox
+ * Ranking runs that must not leave a trace (regression fixtures, the
+ * ranking comparison page) go through here: they get a scratch novelty
+ * corpus, an empty breaking-news detector and no learned section
+ * corrections, and the persisted state is put back afterwards.
+ */
+
+import { setSettingsOverride } from './storage';
+import { isolateNoveltyCorpus } from './noveltyScorer';
+import { isolateSectionLearner } from '../services/sectionLearner';
+import { BreakingNewsDetector, breakingDetector } from './breakingNewsDetector';
+
+/**
+ * @param {Object|null} settings - Used in place of stored settings (null keeps the user's)
+ * @param {() => Promise<T>} run
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withScoringSandbox(settings, run) {
+    // Persist the real detector's pending changes before it is swapped out
+    breakingDetector.flush();
+    const detectorState = { ...breakingDetector };
+    Object.assign(breakingDetector, new BreakingNewsDetector());
+    isolateNoveltyCorpus(true);
+    isolateSectionLearner(true);
+    if (settings) setSettingsOverride(settings);
+
+    try {
+        return await run();
+    } finally {
+        setSettingsOverride(null);
+        isolateSectionLearner(false);
+        isolateNoveltyCorpus(false);
+        Object.assign(breakingDetector, detectorState);
+    }
+}
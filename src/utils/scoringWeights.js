@@ -0,0 +1,84 @@
+/**
+ * Scoring Weights
+ * Factor definitions and user-tunable weights for computeImpactScore, plus
+ * the helpers that turn them into the numbers recorded in each item's
+ * score breakdown.
+ */
+
+import { DEFAULT_SETTINGS } from './storage.js';
+
+/**
+ * @typedef {Object} ScoringFactor
+ * @property {string} key - Key in settings.scoring.weights
+ * @property {string} label
+ * @property {'points'|'multiplier'} kind - Added to the base score, or scales it
+ * @property {number} max - Slider maximum (minimum is always 0)
+ * @property {number} step
+ * @property {string} help
+ */
+
+/** @type {ScoringFactor[]} */
+export const SCORING_FACTORS = [
+    { key: 'freshness', label: 'Freshness', kind: 'points', max: 10, step: 0.5, help: 'Points for a brand-new story, fading to 0 over 26 hours' },
+    { key: 'source', label: 'Source quality', kind: 'points', max: 10, step: 0.5, help: 'Credibility × how well the source covers the section' },
+    { key: 'keyword', label: 'Impact keywords', kind: 'points', max: 6, step: 0.5, help: 'Breaking, election, war, market…' },
+    { key: 'sentimentPositive', label: 'Positive news', kind: 'points', max: 3, step: 0.1, help: 'Finance stories with positive sentiment' },
+    { key: 'sentimentNegative', label: 'Negative news', kind: 'points', max: 3, step: 0.1, help: 'Finance stories with negative sentiment' },
+    { key: 'impact', label: 'Impact', kind: 'multiplier', max: 3, step: 0.1, help: 'Geographic scale and number of people affected' },
+    { key: 'proximity', label: 'Proximity', kind: 'multiplier', max: 3, step: 0.1, help: 'Mentions of places near you' },
+    { key: 'novelty', label: 'Novelty', kind: 'multiplier', max: 3, step: 0.1, help: 'Unusual terms compared to recent coverage' },
+    { key: 'currency', label: 'Currency', kind: 'multiplier', max: 3, step: 0.1, help: 'Matches topics you follow' },
+    { key: 'humanInterest', label: 'Human interest', kind: 'multiplier', max: 3, step: 0.1, help: 'Emotional, personal-story keywords' },
+    { key: 'visual', label: 'Has image', kind: 'multiplier', max: 3, step: 0.1, help: 'Stories with a photo or video' },
+    { key: 'personal', label: 'Personal interest', kind: 'multiplier', max: 3, step: 0.1, help: 'Learned from what you open, read and skip' },
+    { key: 'breaking', label: 'Breaking boost', kind: 'multiplier', max: 3, step: 0.1, help: 'Stories many sources report at once' }
+];
+
+const DEFAULT_SCORING = DEFAULT_SETTINGS.scoring;
+
+/**
+ * Weights with defaults filled in
+ * @param {Object} settings
+ * @returns {Object<string, number>}
+ */
+export function getScoringWeights(settings) {
+    return { ...DEFAULT_SCORING.weights, ...settings?.scoring?.weights };
+}
+
+/**
+ * Section multiplier (1 when not configured)
+ * @param {string} section
+ * @param {Object} settings
+ * @returns {number}
+ */
+export function getSectionPriority(section, settings) {
+    const priorities = { ...DEFAULT_SCORING.sectionPriorities, ...settings?.scoring?.sectionPriorities };
+    return priorities[section] ?? 1;
+}
+
+/**
+ * Diversity re-ranking settings for a section (section overrides on top of defaults)
+ * @param {string} section
+ * @param {Object} settings
+ * @returns {{ enabled: boolean, spread: number, maxPerSource: number }}
+ */
+export function getDiversityConfig(section, settings) {
+    const diversity = { ...DEFAULT_SCORING.diversity, ...settings?.scoring?.diversity };
+    return {
+        enabled: diversity.enabled !== false,
+        spread: diversity.spread,
+        maxPerSource: diversity.maxPerSource,
+        ...diversity.sections?.[section]
+    };
+}
+
+/**
+ * Scales how far a multiplier strays from neutral.
+ * weight 1 keeps it as is, 0 flattens it to 1, 2 doubles its boost or penalty.
+ * @param {number} multiplier
+ * @param {number} weight
+ * @returns {number}
+ */
+export function weightMultiplier(multiplier, weight) {
+    return Math.max(0, 1 + (multiplier - 1) * weight);
+}
@@ -1,73 +1,149 @@
-import { SECTION_KEYWORDS } from '../data/sectionKeywords.js';
-import { ENTITY_OVERRIDES } from '../data/entityOverrides.js';
+import { ENTITY_OVERRIDES, ENTITY_CONTEXT_RULES, ENTITY_EXCLUSIONS } from '../data/entityOverrides.js';
+import { getSettings } from './storage.js';
+import { getSectionKeywords } from './sectionRegistry.js';
+import { getLearnedEvidence } from '../services/sectionLearner.js';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const ENTITY_WEIGHT = 3;        // A named entity outweighs a single keyword pair
+const CONTEXT_WEIGHT = 4;       // Entity + context keyword beats the entity's default
+const MIN_SCORE = 2;            // Evidence needed to re-classify at all
+const SECONDARY_RATIO = 0.75;   // Runner-up within this share of the top score also lists the article
+
+/**
+ * Whole-word match for short terms (e.g. "un" in "fun"), substring otherwise
+ */
+function containsTerm(text, term) {
+    const lower = term.toLowerCase();
+    if (lower.length <= 3) {
+        return new RegExp(`\\b${escapeRegExp(lower)}\\b`, 'i').test(text);
+    }
+    return text.includes(lower);
+}
+
+/**
+ * Whole-word match for an entity name, ignoring look-alikes from
+ * ENTITY_EXCLUSIONS (e.g. "Vijay" should not match "Vijay Mallya")
+ */
+function mentionsEntity(text, entity) {
+    const scrubbed = (ENTITY_EXCLUSIONS[entity] || []).reduce((t, phrase) => t.split(phrase.toLowerCase()).join(' '), text);
+    return new RegExp(`\\b${escapeRegExp(entity.toLowerCase())}\\b`).test(scrubbed);
+}
+
+/**
+ * @typedef {Object} SectionLabel
+ * @property {string} section
+ * @property {number} score
+ * @property {number} confidence - Share of all matched evidence, 0-1
+ * @property {string[]} reasons - e.g. 'entity: Rajinikanth', 'context: Kamal Haasan + election', 'learned: election', 'keywords: rain, flood'
+ */
+
+/**
+ * @typedef {Object} Classification
+ * @property {string|null} section - Best section, null when the evidence is too weak
+ * @property {string|null} secondary - Runner-up close enough to list the article there too
+ * @property {number} confidence - Confidence of `section` (0 when null)
+ * @property {string} reason - Why `section` won, for the debug view
+ * @property {SectionLabel[]} labels - Every section with evidence, best first
+ */
 
 /**
- * Classifies an article into a section based on content
+ * Classifies an article into ranked sections with confidence
  *
  * Algorithm:
- * 1. Check entity overrides (exact match)
- * 2. Score all sections by keyword matches
- * 3. Return highest scoring section (if score >= threshold)
- * 4. Return null if no match (caller should fallback to original section)
+ * 1. Entity context rules (entity + keyword) score CONTEXT_WEIGHT and replace that entity's default
+ * 2. Remaining entity overrides score ENTITY_WEIGHT for their section
+ * 3. Terms learned from the user's "move to section" corrections add their evidence
+ * 4. Every keyword match (built-in + user section keywords) scores 1
+ * 5. Top section wins if its score >= MIN_SCORE; the runner-up becomes a
+ *    secondary section when it is within SECONDARY_RATIO of the top score
  *
  * @param {string} title
  * @param {string} description
  * @param {string} source
- * @returns {string|null} - The detected section key or null
+ * @param {Object<string, string[]>} [keywordMap] - Section → keywords (defaults to settings-merged map)
+ * @returns {Classification}
  */
-export function classifySection(title, description, source = '') {
+export function classifyArticle(title, description, source = '', keywordMap = getSectionKeywords(getSettings())) {
     // Combine text for analysis
     const text = `${title} ${description}`.toLowerCase();
 
-    // Step 1: Entity Override Check
-    // We iterate through keys to find if any entity is present in the text
-    for (const [entity, section] of Object.entries(ENTITY_OVERRIDES)) {
-        if (text.includes(entity.toLowerCase())) {
-            // console.log(`[Classifier] Entity override: "${entity}" → ${section}`);
-            return section;
+    const scores = {};
+    const reasons = {};
+    const addEvidence = (section, weight, reason) => {
+        scores[section] = (scores[section] || 0) + weight;
+        (reasons[section] = reasons[section] || []).push(reason);
+    };
+
+    // Step 1: Entity context rules
+    const contextEntities = [];
+    ENTITY_CONTEXT_RULES.forEach(rule => {
+        if (!mentionsEntity(text, rule.entity)) return;
+        const keyword = rule.keywords.find(k => containsTerm(text, k));
+        if (!keyword) return;
+        addEvidence(rule.section, CONTEXT_WEIGHT, `context: ${rule.entity} + ${keyword}`);
+        contextEntities.push(rule.entity.toLowerCase());
+    });
+
+    // Step 2: Entity overrides. "Vijay" inside "Thalapathy Vijay" counts once.
+    const entities = Object.keys(ENTITY_OVERRIDES).filter(entity => mentionsEntity(text, entity));
+    entities
+        .filter(entity => !entities.some(other => other !== entity && other.toLowerCase().includes(entity.toLowerCase())))
+        .filter(entity => !contextEntities.some(context => entity.toLowerCase().includes(context)))
+        .forEach(entity => addEvidence(ENTITY_OVERRIDES[entity], ENTITY_WEIGHT, `entity: ${entity}`));
+
+    // Step 3: Learned from corrections
+    getLearnedEvidence(title).forEach(({ section, score, terms }) => {
+        addEvidence(section, score, `learned: ${terms.join(', ')}`);
+    });
+
+    // Step 4: Keyword Scoring
+    for (const [section, keywords] of Object.entries(keywordMap)) {
+        const matched = keywords.filter(keyword => containsTerm(text, keyword));
+        if (matched.length > 0) {
+            scores[section] = (scores[section] || 0) + matched.length;
+            (reasons[section] = reasons[section] || []).push(`keywords: ${matched.join(', ')}`);
         }
     }
 
-    // Step 2: Keyword Scoring
-    const scores = {};
-    // Initialize scores
-    Object.keys(SECTION_KEYWORDS).forEach(key => scores[key] = 0);
-
-    for (const [section, keywords] of Object.entries(SECTION_KEYWORDS)) {
-        keywords.forEach(keyword => {
-            // Use word boundary check for short words to avoid false positives (e.g. "un" in "fun")
-            // For longer phrases, simple includes is usually fine and faster
-            const kLower = keyword.toLowerCase();
-            if (kLower.length <= 3) {
-                 // Simple boundary check: space before/after or start/end of string
-                 // Note: This is a lightweight regex replacement
-                 const regex = new RegExp(`\\b${kLower}\\b`, 'i');
-                 if (regex.test(text)) {
-                     scores[section]++;
-                 }
-            } else {
-                if (text.includes(kLower)) {
-                    scores[section]++;
-                }
-            }
-        });
-    }
+    // Step 5: Rank
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const labels = Object.keys(scores)
+        .sort((a, b) => scores[b] - scores[a])
+        .map(section => ({
+            section,
+            score: scores[section],
+            confidence: scores[section] / total,
+            reasons: reasons[section]
+        }));
 
-    // Step 3: Find highest scoring section
-    const sortedSections = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
-    const topSection = sortedSections[0];
-    const topScore = scores[topSection];
-
-    // Threshold: require at least 2 keyword matches to confidently re-classify
-    // Exception: If the topScore is high relative to length, or if it's very specific
-    // For now, strict threshold of 2
-    if (topScore >= 2) {
-        // console.log(`[Classifier] "${title.substring(0, 30)}..." → ${topSection} (score: ${topScore})`);
-        return topSection;
+    const [top, runnerUp] = labels;
+    if (!top || top.score < MIN_SCORE) {
+        return { section: null, secondary: null, confidence: 0, reason: 'no strong match', labels };
     }
 
-    // Step 4: No strong match
-    return null;
+    const secondary = runnerUp && runnerUp.score >= MIN_SCORE && runnerUp.score >= top.score * SECONDARY_RATIO
+        ? runnerUp.section
+        : null;
+
+    return {
+        section: top.section,
+        secondary,
+        confidence: top.confidence,
+        reason: top.reasons.join('; '),
+        labels
+    };
+}
+
+/**
+ * Classifies an article into its single best section
+ * @see classifyArticle
+ * @returns {string|null} - The detected section key or null (caller should fallback to original section)
+ */
+export function classifySection(title, description, source = '', keywordMap = getSectionKeywords(getSettings())) {
+    return classifyArticle(title, description, source, keywordMap).section;
 }
 
 /**
@@ -82,6 +158,10 @@ export function testClassification() {
         { title: "Apple launches new iPhone 16 with AI features", expected: "technology" },
         { title: "Sensex crosses 80000 mark as Nifty soars", expected: "business" },
         { title: "UN condemns Russia actions in Ukraine war", expected: "world" },
+        { title: "Kamal Haasan begins shooting for new film", expected: "entertainment" },
+        { title: "Kamal Haasan's party to contest election alone", expected: "chennai" },
+        { title: "Vijayawada civic election results announced", expected: null },
+        { title: "Vijay Mallya extradition hearing adjourned again", expected: null },
         { title: "Generic news about nothing specific", expected: null }
     ];
 
@@ -0,0 +1,174 @@
+/**
+ * Section Registry
+ * Merges the built-in news sections with user-defined ones from settings
+ * into a single ordered list used by fetching, classification and layout.
+ *
+ * Settings schema:
+ *   sections[key] = { enabled, count, label?, icon?, keywords?, custom? }
+ *   sectionOrder  = [key, ...]   (keys not listed keep their default position)
+ */
+
+import { SECTION_KEYWORDS } from '../data/sectionKeywords.js';
+
+/**
+ * @typedef {Object} SectionDefinition
+ * @property {string} key
+ * @property {string} label - Name in Settings
+ * @property {string} title - Heading on the news page
+ * @property {string} icon
+ * @property {'main'|'tech-social'} page - Which page renders the section
+ * @property {'high'|'low'} priority - Fetch batch priority
+ * @property {string} colorClass
+ * @property {boolean} enabled
+ * @property {number} count
+ * @property {string[]} keywords - User keywords (added to built-in classifier keywords)
+ * @property {boolean} custom - User-defined section
+ * @property {boolean} renamed - User has overridden the label
+ */
+
+export const BUILT_IN_SECTIONS = [
+    { key: 'world', label: 'World News', title: 'Global Updates', icon: '🌍', page: 'main', priority: 'high', colorClass: 'news-section__title--world' },
+    { key: 'india', label: 'India News', title: 'India News', timelineTitle: 'India', icon: '🇮🇳', page: 'main', priority: 'high', colorClass: 'news-section__title--india' },
+    { key: 'chennai', label: 'Chennai', title: 'Tamil Nadu', icon: '🏛️', page: 'main', priority: 'high', colorClass: 'news-section__title--chennai' },
+    { key: 'trichy', label: 'Trichy', title: 'Trichy', icon: '🏛️', page: 'main', priority: 'high', colorClass: 'news-section__title--trichy' },
+    { key: 'local', label: 'Muscat', title: 'Local — Muscat', icon: '📍', page: 'main', priority: 'low', colorClass: 'news-section__title--local' },
+    { key: 'social', label: 'Social', title: 'Social Trends', icon: '👥', page: 'tech-social', priority: 'low', colorClass: 'news-section__title--world' },
+    { key: 'entertainment', label: 'Entertainment', title: 'Entertainment', icon: '🎬', page: 'tech-social', priority: 'low', colorClass: 'news-section__title--world' },
+    { key: 'business', label: 'Business', title: 'Business', icon: '💼', page: 'tech-social', priority: 'low', colorClass: 'news-section__title--world' },
+    { key: 'technology', label: 'Technology', title: 'Technology', icon: '💻', page: 'tech-social', priority: 'low', colorClass: 'news-section__title--world' }
+];
+
+const BUILT_IN_KEYS = new Set(BUILT_IN_SECTIONS.map(s => s.key));
+
+export function isBuiltInSection(key) {
+    return BUILT_IN_KEYS.has(key);
+}
+
+/**
+ * All sections (built-in + user-defined) in the user's chosen order.
+ * @param {Object} settings
+ * @returns {SectionDefinition[]}
+ */
+export function getSectionList(settings) {
+    const configs = settings?.sections || {};
+
+    const builtIn = BUILT_IN_SECTIONS.map(def => {
+        const config = configs[def.key] || {};
+        return {
+            ...def,
+            label: config.label || def.label,
+            title: config.label || def.title,
+            icon: config.icon || def.icon,
+            enabled: config.enabled !== false,
+            count: config.count ?? (def.key === 'social' ? 25 : 5),
+            keywords: config.keywords || [],
+            custom: false,
+            renamed: !!config.label
+        };
+    });
+
+    const user = Object.entries(configs)
+        .filter(([key, config]) => config?.custom && !isBuiltInSection(key))
+        .map(([key, config]) => ({
+            key,
+            label: config.label || key,
+            title: config.label || key,
+            icon: config.icon || '🗂️',
+            page: 'main',
+            priority: 'low',
+            colorClass: 'news-section__title--world',
+            enabled: config.enabled !== false,
+            count: config.count ?? 5,
+            keywords: config.keywords || [],
+            custom: true,
+            renamed: false
+        }));
+
+    const order = settings?.sectionOrder || [];
+    const rank = (key) => {
+        const index = order.indexOf(key);
+        return index === -1 ? Infinity : index;
+    };
+
+    // Array.prototype.sort is stable, so unlisted keys keep their default relative order
+    return [...builtIn, ...user].sort((a, b) => rank(a.key) - rank(b.key));
+}
+
+/**
+ * Classifier keyword map: built-in SECTION_KEYWORDS plus every section's user keywords.
+ * @param {Object} settings
+ * @returns {Object<string, string[]>}
+ */
+export function getSectionKeywords(settings) {
+    const merged = { ...SECTION_KEYWORDS };
+
+    getSectionList(settings).forEach(section => {
+        if (section.keywords.length > 0) {
+            merged[section.key] = [...(SECTION_KEYWORDS[section.key] || []), ...section.keywords];
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Builds the settings for a new user-defined section.
+ * @param {Object} settings
+ * @param {string} label
+ * @returns {{ key: string, settings: Object }}
+ */
+export function addUserSection(settings, label) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    let key = `user_${slug || Date.now()}`;
+    while (settings.sections?.[key]) key = `${key}_2`;
+
+    return {
+        key,
+        settings: {
+            ...settings,
+            sections: {
+                ...settings.sections,
+                [key]: { enabled: true, count: 5, label, icon: '🗂️', keywords: [], custom: true }
+            },
+            sectionOrder: [...getSectionList(settings).map(s => s.key), key]
+        }
+    };
+}
+
+/**
+ * Removes a user-defined section along with the custom feeds assigned to it.
+ * Built-in sections cannot be removed (disable them instead).
+ * @param {Object} settings
+ * @param {string} key
+ * @returns {Object} New settings
+ */
+export function removeUserSection(settings, key) {
+    if (isBuiltInSection(key)) return settings;
+
+    const sections = { ...settings.sections };
+    delete sections[key];
+
+    return {
+        ...settings,
+        sections,
+        sectionOrder: (settings.sectionOrder || []).filter(k => k !== key),
+        customFeeds: (settings.customFeeds || []).filter(feed => feed.section !== key)
+    };
+}
+
+/**
+ * Moves a section one step up (-1) or down (+1) in the display order.
+ * @param {Object} settings
+ * @param {string} key
+ * @param {number} direction
+ * @returns {Object} New settings
+ */
+export function moveSection(settings, key, direction) {
+    const order = getSectionList(settings).map(s => s.key);
+    const from = order.indexOf(key);
+    const to = from + direction;
+    if (from === -1 || to < 0 || to >= order.length) return settings;
+
+    [order[from], order[to]] = [order[to], order[from]];
+    return { ...settings, sectionOrder: order };
+}
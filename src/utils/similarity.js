@@ -1,46 +1,53 @@
-import stringSimilarity from 'string-similarity';
+import { SimilarityIndex } from './similarityIndex';
 
 /**
  * Cluster similar articles by title similarity
  * Returns array of clusters, where each cluster contains similar articles
+ *
+ * Each article joins the most similar earlier cluster seed, found through a
+ * MinHash index instead of comparing against every seed, so this stays
+ * near-linear at thousands of items.
  */
 export const clusterSimilarArticles = (articles, similarityThreshold = 0.75) => {
     if (!articles || articles.length === 0) return [];
 
     const clusters = [];
-    const used = new Set();
+    const seeds = new SimilarityIndex({ threshold: similarityThreshold, measure: 'dice' });
 
-    // For each unused article, start a new cluster
-    for (let i = 0; i < articles.length; i++) {
-        if (used.has(i)) continue;
+    articles.forEach((article, i) => {
+        const title = article.title.toLowerCase();
+        const match = seeds.findSimilar(title);
 
-        const cluster = [articles[i]];
-        used.add(i);
-
-        // Find similar articles and add to cluster
-        for (let j = i + 1; j < articles.length; j++) {
-            if (used.has(j)) continue;
-
-            const similarity = stringSimilarity.compareTwoStrings(
-                articles[i].title.toLowerCase(),
-                articles[j].title.toLowerCase()
-            );
-
-            if (similarity > similarityThreshold) {
-                cluster.push(articles[j]);
-                used.add(j);
-            }
+        if (match) {
+            clusters[match.payload].push(article);
+            return;
         }
 
-        clusters.push(cluster);
-    }
+        // No similar seed: this article starts a new cluster
+        seeds.add(String(i), title, clusters.length);
+        clusters.push([article]);
+    });
 
     return clusters;
 };
 
+/**
+ * Slim copy of a cluster member, enough to list its version of the story
+ */
+const toClusterMember = (article) => ({
+    id: article.id,
+    title: article.headline || article.title,
+    source: article.source,
+    url: article.url || article.link,
+    publishedAt: article.publishedAt,
+    sentiment: article.sentiment?.label || null,
+    impactScore: article.impactScore
+});
+
 /**
  * Merge a cluster of articles into a single representative item
- * Keeps highest-scored article, aggregates source info
+ * Keeps highest-scored article, aggregates source info and keeps every
+ * member (oldest first) in `clusterMembers` for the story cluster view
  */
 export const mergeCluster = (cluster) => {
     if (!cluster || cluster.length === 0) return null;
@@ -61,6 +68,10 @@ export const mergeCluster = (cluster) => {
         sourceCount,
         allSources: sources,
         clusteredItems: cluster.length,
+        // Single-article clusters have nothing to compare
+        clusterMembers: cluster.length > 1
+            ? [...cluster].sort((a, b) => a.publishedAt - b.publishedAt).map(toClusterMember)
+            : null,
         impactScore: representative.impactScore * consensusBoost,
         clusterRepresentative: true // Flag for UI
     };
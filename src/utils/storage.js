@@ -115,6 +115,7 @@ export const DEFAULT_SETTINGS = {
     // CUSTOM FEEDS
     // ========================================
     customFeeds: [],
+    disabledFeeds: [], // Feed URLs switched off from the Feed Health panel
 
     // ========================================
     // MANUAL OVERRIDES (Phase 2 & 8)
@@ -139,6 +140,56 @@ export const DEFAULT_SETTINGS = {
     // ========================================
     enableNewScoring: true,      // Master switch for new 9-factor scoring
     enableProximityScoring: false, // Boost local news (default OFF)
+    homeLocation: null,            // Gazetteer key (src/data/geolocation.js); weather cities count too
+    enablePersonalization: true,   // Learn from clicks, reading time and skips (on-device)
+
+    // Ranking weights (tuned in Settings → Ranking Weights)
+    scoring: {
+        weights: {
+            freshness: 3,          // Points for a brand-new story (decays to 0 over 26h)
+            source: 5,             // Scale for source credibility × category fit
+            keyword: 2,            // Points when a high-impact keyword matches
+            sentimentPositive: 0.5,
+            sentimentNegative: 0.3,
+            // Multiplier strengths: 1 = as designed, 0 = ignored, 2 = doubled effect
+            impact: 1,
+            proximity: 1,
+            novelty: 1,
+            currency: 1,
+            humanInterest: 1,
+            visual: 1,
+            personal: 1,
+            breaking: 1
+        },
+        // Section multipliers; sections not listed use 1
+        sectionPriorities: {
+            world: 1.5,
+            business: 1.2
+        },
+        // Diversity re-ranking (MMR) applied before each section is cut to size
+        diversity: {
+            enabled: true,
+            spread: 0.3,           // 0 = pure score order, 1 = maximum topic spread
+            maxPerSource: 3,       // Per-source cap within a section (0 = no cap)
+            sections: {}           // Per-section overrides, e.g. { chennai: { maxPerSource: 5 } }
+        }
+    },
+
+    // ========================================
+    // ALERTS
+    // ========================================
+    // Rules are checked after every news and market refresh (services/alertEngine.js)
+    alerts: {
+        enabled: true,
+        rules: []
+    },
+
+    // Applied to every notification (utils/notifications.js)
+    notifications: {
+        quietHours: { enabled: false, start: '22:00', end: '07:00' },
+        muted: [],           // Category keys, e.g. ['segment']
+        snoozeUntil: null    // Timestamp; nothing is shown before it
+    },
 
     // Topic Following (NEW)
     // Stores objects: { id, name, query, icon, created, lastFetched, options }
@@ -159,8 +210,27 @@ export const DEFAULT_SETTINGS = {
     enableCache: true,         // NEW - Phase 6: Enable memory cache for faster loads
     crawlerMode: 'auto',
     debugLogs: false,
+
+    // CORS proxy rotation (shared by every service)
+    proxy: {
+        customUrl: '',     // Self-hosted proxy: prefix or template containing {url}
+        timeoutMs: 8000    // Per-attempt timeout before failing over
+    },
 };
 
+// Settings used instead of localStorage while the scoring regression harness runs
+let settingsOverride = null;
+
+/**
+ * Make getSettings return DEFAULT_SETTINGS merged with the given overrides,
+ * ignoring stored settings. Pass null to go back to localStorage.
+ * Used by the scoring regression harness so fixtures rank the same everywhere.
+ * @param {Object|null} overrides
+ */
+export function setSettingsOverride(overrides) {
+    settingsOverride = overrides;
+}
+
 /**
  * Get settings from localStorage
  * @returns {Object} Settings object
@@ -179,6 +249,10 @@ export function getSettings() {
         fontSize: defaultFontSize
     };
 
+    if (settingsOverride) {
+        return deepMerge(dynamicDefaults, settingsOverride);
+    }
+
     try {
         const stored = localStorage.getItem(STORAGE_KEYS.SETTINGS);
         if (stored) {
@@ -1,5 +1,7 @@
-import { computeImpactScore } from '../services/rssAggregator.js';
+import { computeImpactScore, normalizeItem, rankAndFilter } from '../services/rssAggregator.js';
 import { getSettings } from './storage.js';
+import { withScoringSandbox } from './scoringSandbox.js';
+import { SCORING_FIXTURES } from '../data/scoringFixtures.js';
 
 const TEST_ARTICLES = [
     {
@@ -45,6 +47,127 @@ export function runScoringTests() {
         console.log(`\nTitle: ${article.title}`);
         console.log(`Section: ${article.section}`);
         console.log(`Score: ${score.toFixed(2)}`);
+        console.log('Breakdown:', item.scoreBreakdown);
     });
     console.log('\n=================================================\n');
 }
+
+/* ---------- Regression harness ---------- */
+
+const FIXTURE_HOST = 'https://fixtures.local';
+
+// Learned preferences stay out of fixture runs
+const SANDBOX_SETTINGS = { enablePersonalization: false };
+
+const fixtureLink = (fixture, key) => `${FIXTURE_HOST}/${fixture.name}/${key}`;
+const keyFromLink = (link) => link.slice(link.lastIndexOf('/') + 1);
+
+/**
+ * Feed entries → ranked NewsItems, exactly as fetchSectionNews would
+ */
+async function rankFixture(fixture, { useCurrentSettings = false } = {}) {
+    const now = Date.now();
+    const entries = fixture.items.map(entry => ({
+        title: entry.title,
+        description: entry.description,
+        link: fixtureLink(fixture, entry.key),
+        pubDate: new Date(now - entry.ageHours * 60 * 60 * 1000).toISOString(),
+        source: entry.source,
+        enclosure: entry.enclosure
+    }));
+
+    const run = async () => {
+        const normalized = entries.map(entry => normalizeItem(entry, fixture.feedSource, fixture.section));
+        const ranked = await rankAndFilter(normalized, fixture.section, fixture.limit, null);
+        return { normalized, ranked };
+    };
+
+    return withScoringSandbox(useCurrentSettings ? null : { ...SANDBOX_SETTINGS, ...fixture.settings }, run);
+}
+
+function compareFixture(fixture, { normalized, ranked }) {
+    const { expected } = fixture;
+    const actualOrder = ranked.map(item => keyFromLink(item.link));
+    const problems = [];
+
+    // Rank changes, with the score that produced the new position
+    const rankChanges = [];
+    const keys = new Set([...expected.order, ...actualOrder]);
+    keys.forEach(key => {
+        const was = expected.order.indexOf(key);
+        const now = actualOrder.indexOf(key);
+        if (was === now) return;
+        const item = ranked.find(r => keyFromLink(r.link) === key);
+        rankChanges.push({
+            story: key,
+            expected: was === -1 ? '—' : was + 1,
+            actual: now === -1 ? '—' : now + 1,
+            score: item ? Number(item.impactScore.toFixed(2)) : null
+        });
+    });
+    if (rankChanges.length > 0) problems.push(`${rankChanges.length} rank change(s)`);
+
+    normalized.forEach(item => {
+        const key = keyFromLink(item.link);
+        const want = expected.sections?.[key];
+        if (want && item.section !== want) {
+            problems.push(`${key}: section ${item.section} (expected ${want})`);
+        }
+    });
+
+    Object.entries(expected.sources || {}).forEach(([key, count]) => {
+        const item = ranked.find(r => keyFromLink(r.link) === key);
+        const actual = item?.sourceCount || 1;
+        if (actual !== count) problems.push(`${key}: clustered ${actual} source(s) (expected ${count})`);
+    });
+
+    return { name: fixture.name, passed: problems.length === 0, problems, rankChanges, actualOrder };
+}
+
+/**
+ * Runs every golden fixture through normalizeItem → classifySection →
+ * computeImpactScore → deduplicateAndCluster → rankAndFilter, offline,
+ * and reports where the ranking moved.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.useCurrentSettings] - Rank with the user's settings and
+ *   personalization instead of defaults; shows how personal tuning moves the fixtures
+ * @returns {Promise<{ passed: number, failed: number, results: Object[] }>}
+ */
+export async function runScoringRegression(options = {}) {
+    console.log(`\n=== SCORING REGRESSION (${SCORING_FIXTURES.length} fixtures${options.useCurrentSettings ? ', current settings' : ''}) ===`);
+
+    const results = [];
+    for (const fixture of SCORING_FIXTURES) {
+        const result = compareFixture(fixture, await rankFixture(fixture, options));
+        results.push(result);
+
+        console.log(`${result.passed ? '✅' : '❌'} ${fixture.name}`);
+        result.problems.forEach(problem => console.log(`   • ${problem}`));
+        if (result.rankChanges.length > 0) console.table(result.rankChanges);
+    }
+
+    const passed = results.filter(r => r.passed).length;
+    console.log(`Regression Results: ${passed}/${results.length} fixtures unchanged`);
+    console.log('=================================================\n');
+
+    return { passed, failed: results.length - passed, results };
+}
+
+/**
+ * Prints the current ranking of every fixture as `expected` blocks, for
+ * updating src/data/scoringFixtures.js after an intentional change.
+ */
+export async function printScoringGoldens() {
+    for (const fixture of SCORING_FIXTURES) {
+        const { normalized, ranked } = await rankFixture(fixture);
+        const expected = {
+            order: ranked.map(item => keyFromLink(item.link)),
+            sections: Object.fromEntries(normalized.map(item => [keyFromLink(item.link), item.section])),
+            sources: Object.fromEntries(ranked
+                .filter(item => item.sourceCount > 1)
+                .map(item => [keyFromLink(item.link), item.sourceCount]))
+        };
+        console.log(`// ${fixture.name}\nexpected: ${JSON.stringify(expected, null, 4)}`);
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Word Match
+ * Whole-word keyword tests shared by alert rules and breaking-news severity,
+ * so "rain" never matches "train" and "war" never matches "award".
+ */
+
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const patternCache = new Map();
+
+/**
+ * Case-insensitive whole-word regex for a word or phrase. A trailing `*`
+ * allows any word ending, e.g. "evacuat*" matches "evacuated" and "evacuation".
+ * @param {string} term
+ * @returns {RegExp}
+ */
+export function wordPattern(term) {
+    const key = term.toLowerCase();
+    if (!patternCache.has(key)) {
+        const stem = key.endsWith('*');
+        const body = escapeRegExp(stem ? key.slice(0, -1) : key);
+        patternCache.set(key, new RegExp(`\\b${body}${stem ? '\\w*' : '\\b'}`, 'i'));
+    }
+    return patternCache.get(key);
+}
+
+/**
+ * @param {string} text
+ * @param {string} term - Word, phrase or stem ("evacuat*")
+ */
+export function containsWord(text, term) {
+    return wordPattern(term).test(text || '');
+}